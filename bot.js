@@ -0,0 +1,425 @@
+/**
+ * テトリス - AIボット
+ * 現在のピース（とホールド）で到達できる設置位置を移動・回転の探索で列挙し、
+ * 盤面の評価値（穴・凹凸・高さ・T-Spinの形）が最も良い位置へ操作APIで動かす
+ * 難易度でPPS（1秒あたりの設置数）とミスの確率を変える
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'), require('./randomizer.js'));
+    } else {
+        root.TetrisBot = factory(root.TetrisEngine, root.TetrisRandomizer);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Engine, Randomizer) {
+    'use strict';
+
+    const { COLS, ROWS, ACTIONS, TICK_MS } = Engine;
+
+    // 難易度（pps: 1秒あたりの設置数, mistakeRate: 最善手以外を選ぶ確率）
+    const DIFFICULTIES = {
+        easy: { name: 'EASY', pps: 0.8, mistakeRate: 0.25 },
+        normal: { name: 'NORMAL', pps: 1.5, mistakeRate: 0.08 },
+        hard: { name: 'HARD', pps: 2.5, mistakeRate: 0.02 },
+        expert: { name: 'EXPERT', pps: 4, mistakeRate: 0 }
+    };
+    const DEFAULT_DIFFICULTY = 'normal';
+
+    // 評価の重み
+    const WEIGHTS = {
+        aggregateHeight: -0.51,
+        holes: -0.9,
+        bumpiness: -0.18,
+        lines: 0.76,
+        dangerHeight: -0.5,   // 危険ライン（DANGER_HEIGHT）を超えた1段ごと
+        tSpin: 1.5,           // T-Spinで消したライン1本ごと
+        tSlot: 0.6            // T-Spin Doubleの入る形
+    };
+    const DANGER_HEIGHT = 12;
+
+    // 探索の移動（drop = 接地するまでソフトドロップ）
+    const MOVES = [
+        { step: ACTIONS.MOVE_LEFT, dx: -1 },
+        { step: ACTIONS.MOVE_RIGHT, dx: 1 },
+        { step: ACTIONS.ROTATE_CW, rotate: 1 },
+        { step: ACTIONS.ROTATE_CCW, rotate: -1 },
+        { step: ACTIONS.ROTATE_180, rotate: 2 },
+        { step: ACTIONS.SOFT_DROP, drop: true }
+    ];
+
+    /**
+     * ピースの占めるセル [[x, y], ...]
+     */
+    function getCells(type, x, y, rotation, rotationSystem) {
+        const cells = [];
+        const matrix = Engine.getRotatedMatrix(type, rotation, rotationSystem);
+        for (let py = 0; py < matrix.length; py++) {
+            for (let px = 0; px < matrix[py].length; px++) {
+                if (matrix[py][px]) cells.push([x + px, y + py]);
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * 到達できる設置位置を列挙（幅優先探索。各位置は最短の操作列を持つ）
+     * @param {Uint8Array} board
+     * @param {{type: string, x: number, y: number, rotation: number}} piece 探索開始位置
+     * @param {string} [rotationSystem] ゲームの回転システム（省略時SRS）
+     * @returns {Array<{type, x, y, rotation, rotationSystem, steps: string[], rotated: boolean, kick: number[]|null}>}
+     */
+    function findPlacements(board, piece, rotationSystem) {
+        const type = piece.type;
+        const fits = (x, y, rotation) => Engine.isValidPosition(board, x, y, rotation, type, rotationSystem);
+        if (!fits(piece.x, piece.y, piece.rotation)) return [];
+
+        // T-Spin判定のため、最後の操作が回転かどうかも状態に含める
+        const keyOf = (x, y, rotation, rotated) => `${x},${y},${rotation},${type === 'T' && rotated ? 1 : 0}`;
+        const start = { x: piece.x, y: piece.y, rotation: piece.rotation, rotated: false, kick: null, steps: [] };
+        const visited = new Set([keyOf(start.x, start.y, start.rotation, false)]);
+        const queue = [start];
+        const placements = new Map();
+
+        for (let i = 0; i < queue.length; i++) {
+            const node = queue[i];
+
+            // 接地している位置は設置候補（同じセルになる位置は最短の操作列だけ残す）
+            if (!fits(node.x, node.y + 1, node.rotation)) {
+                const cells = getCells(type, node.x, node.y, node.rotation, rotationSystem);
+                const cellKey = cells.map(([x, y]) => y * COLS + x).sort((a, b) => a - b).join(',') + (node.rotated ? 'r' : '');
+                if (!placements.has(cellKey)) {
+                    placements.set(cellKey, {
+                        type,
+                        x: node.x,
+                        y: node.y,
+                        rotation: node.rotation,
+                        rotationSystem,
+                        rotated: node.rotated,
+                        kick: node.kick,
+                        steps: node.steps
+                    });
+                }
+            }
+
+            for (const move of MOVES) {
+                let next;
+                if (move.dx) {
+                    if (!fits(node.x + move.dx, node.y, node.rotation)) continue;
+                    next = { x: node.x + move.dx, y: node.y, rotation: node.rotation, rotated: false, kick: null };
+                } else if (move.rotate) {
+                    const rotated = Engine.tryRotate(board, { type, x: node.x, y: node.y, rotation: node.rotation }, move.rotate, rotationSystem);
+                    if (!rotated) continue;
+                    next = Object.assign(rotated, { rotated: true });
+                } else {
+                    let y = node.y;
+                    while (fits(node.x, y + 1, node.rotation)) y++;
+                    if (y === node.y) continue;
+                    next = { x: node.x, y, rotation: node.rotation, rotated: false, kick: null };
+                }
+
+                const key = keyOf(next.x, next.y, next.rotation, next.rotated);
+                if (visited.has(key)) continue;
+                visited.add(key);
+                next.steps = node.steps.concat(move.step);
+                queue.push(next);
+            }
+        }
+
+        return Array.from(placements.values());
+    }
+
+    /**
+     * 設置後の盤面と、消えたライン数・T-Spinかどうか
+     */
+    function placePiece(board, placement) {
+        // T-Spin: エンジンと同じく最後の操作が回転のときだけ、置く前の盤面で判定
+        const tSpin = placement.type === 'T' && placement.rotated &&
+            Engine.detectSpin(board, placement, placement.rotationSystem) !== null;
+
+        const result = Uint8Array.from(board);
+        const cells = getCells(placement.type, placement.x, placement.y, placement.rotation, placement.rotationSystem);
+        for (const [x, y] of cells) {
+            if (y >= 0) result[y * COLS + x] = Engine.getColorIndex(placement.type);
+        }
+
+        const lines = clearFullRows(result);
+        const toppedOut = cells.every(([, y]) => y < 0);
+        return { board: result, lines, tSpin, toppedOut };
+    }
+
+    function isFilled(board, x, y) {
+        return x < 0 || x >= COLS || y >= ROWS || (y >= 0 && board[y * COLS + x] !== 0);
+    }
+
+    /**
+     * 揃った行を消して詰める（消した行数を返す）
+     */
+    function clearFullRows(board) {
+        let cleared = 0;
+        for (let y = ROWS - 1; y >= 0; y--) {
+            let full = true;
+            for (let x = 0; x < COLS; x++) {
+                if (!board[y * COLS + x]) {
+                    full = false;
+                    break;
+                }
+            }
+            if (!full) continue;
+
+            board.copyWithin(COLS, 0, y * COLS);
+            board.fill(0, 0, COLS);
+            cleared++;
+            y++;
+        }
+        return cleared;
+    }
+
+    /**
+     * 列の高さ
+     */
+    function getHeights(board) {
+        const heights = new Array(COLS).fill(0);
+        for (let x = 0; x < COLS; x++) {
+            for (let y = 0; y < ROWS; y++) {
+                if (board[y * COLS + x]) {
+                    heights[x] = ROWS - y;
+                    break;
+                }
+            }
+        }
+        return heights;
+    }
+
+    // 下向きのT（左上を基準にしたセル。中心は [1, 0]）
+    const T_DOWN_CELLS = [[0, 0], [1, 0], [2, 0], [1, 1]];
+
+    /**
+     * T-Spin Doubleの入る形の数（下向きのTが3隅埋まりで置けて、2ライン消える位置）
+     * 回転システムによらず、セルの形で判定する
+     */
+    function countTSlots(board, heights) {
+        let slots = 0;
+        const maxHeight = Math.max(...heights);
+        for (let x = 0; x <= COLS - 3; x++) {
+            for (let y = Math.max(0, ROWS - maxHeight - 1); y < ROWS - 1; y++) {
+                const cells = T_DOWN_CELLS.map(([dx, dy]) => [x + dx, y - 1 + dy]);
+                if (cells.some(([cx, cy]) => isFilled(board, cx, cy))) continue;
+                if (!cells.some(([cx, cy]) => isFilled(board, cx, cy + 1))) continue;
+                const corners = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+                const filled = corners.filter(([dx, dy]) => isFilled(board, x + 1 + dx, y - 1 + dy)).length;
+                if (filled < 3) continue;
+
+                const placed = Uint8Array.from(board);
+                for (const [cx, cy] of cells) {
+                    if (cy >= 0) placed[cy * COLS + cx] = Engine.getColorIndex('T');
+                }
+                if (clearFullRows(placed) >= 2) {
+                    slots++;
+                }
+            }
+        }
+        return slots;
+    }
+
+    /**
+     * 設置位置の評価値（大きいほど良い）
+     */
+    function evaluatePlacement(board, placement) {
+        const placed = placePiece(board, placement);
+        if (placed.toppedOut) return -Infinity;
+
+        const heights = getHeights(placed.board);
+        let holes = 0;
+        for (let x = 0; x < COLS; x++) {
+            for (let y = ROWS - heights[x] + 1; y < ROWS; y++) {
+                if (!placed.board[y * COLS + x]) holes++;
+            }
+        }
+        let bumpiness = 0;
+        for (let x = 0; x < COLS - 1; x++) {
+            bumpiness += Math.abs(heights[x] - heights[x + 1]);
+        }
+        const aggregateHeight = heights.reduce((sum, h) => sum + h, 0);
+        const maxHeight = Math.max(...heights);
+
+        let score = WEIGHTS.aggregateHeight * aggregateHeight +
+            WEIGHTS.holes * holes +
+            WEIGHTS.bumpiness * bumpiness +
+            WEIGHTS.lines * placed.lines +
+            WEIGHTS.dangerHeight * Math.max(0, maxHeight - DANGER_HEIGHT);
+        if (placed.tSpin) {
+            score += WEIGHTS.tSpin * Math.max(1, placed.lines);
+        }
+        if (maxHeight < DANGER_HEIGHT) {
+            score += WEIGHTS.tSlot * Math.min(1, countTSlots(placed.board, heights));
+        }
+        return score;
+    }
+
+    /**
+     * 候補を評価値の高い順に（ホールドして別のピースを置く候補も含む）
+     * @returns {Array<{type, x, y, rotation, steps, hold: boolean, score: number}>}
+     */
+    function rankPlacements(state) {
+        const piece = state.currentPiece;
+        if (!piece) return [];
+
+        const candidates = findPlacements(state.board, piece, state.rotationSystem).map(p => Object.assign(p, { hold: false }));
+        if (state.canHold) {
+            const holdType = state.holdPiece || state.nextPieces[0];
+            if (holdType && holdType !== piece.type) {
+                const spawn = Object.assign({ type: holdType, rotation: 0 }, Engine.getSpawnPosition(holdType, state.rotationSystem));
+                for (const placement of findPlacements(state.board, spawn, state.rotationSystem)) {
+                    placement.hold = true;
+                    placement.steps = [ACTIONS.HOLD].concat(placement.steps);
+                    candidates.push(placement);
+                }
+            }
+        }
+
+        for (const candidate of candidates) {
+            candidate.score = evaluatePlacement(state.board, candidate);
+            // 同点なら操作の少ない方
+            candidate.score -= candidate.steps.length * 0.001;
+        }
+        return candidates.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * 最善の設置位置（ヒント表示用。候補がなければnull）
+     */
+    function getBestPlacement(state) {
+        return rankPlacements(state)[0] || null;
+    }
+
+    /**
+     * ボットを作成（ゲームの1tickごとに tick() を呼ぶ）
+     * @param {object} game createGameの戻り値（状態の参照に使う）
+     * @param {{difficulty?: string, seed?: string, apply?: Function}} [options]
+     *   apply: 操作の渡し先（既定は game.apply。対戦やリプレイ記録を通す場合に指定）
+     */
+    function createBot(game, options = {}) {
+        const apply = options.apply || ((action, pressed) => game.apply(action, pressed));
+        const rng = Randomizer.createRng(Randomizer.hashSeed(`${options.seed || Randomizer.generateSeed()}:bot`));
+        let difficulty = DIFFICULTIES[options.difficulty] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+
+        let clock = 0;
+        let plan = null;
+        let planPiece = null;
+        let stepIndex = 0;
+        let nextActionAt = 0;
+        let stepInterval = 0;
+        let dropping = false;
+
+        function setDifficulty(name) {
+            difficulty = DIFFICULTIES[name] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+        }
+
+        /**
+         * 設置する位置を決める（難易度に応じて最善手以外を選ぶことがある）
+         */
+        function choosePlacement(state) {
+            const ranked = rankPlacements(state).filter(p => p.score > -Infinity);
+            if (ranked.length === 0) return null;
+            if (ranked.length > 1 && rng.next() < difficulty.mistakeRate) {
+                return ranked[1 + rng.int(Math.min(4, ranked.length - 1))];
+            }
+            return ranked[0];
+        }
+
+        /**
+         * 新しいピースの操作計画（1ピースの持ち時間を考える時間と各操作に割り振る）
+         */
+        function startPlan(state) {
+            const placement = choosePlacement(state);
+            const steps = placement ? placement.steps.slice() : [];
+            // 最後の接地までのソフトドロップはハードドロップに含まれる
+            if (steps[steps.length - 1] === ACTIONS.SOFT_DROP) steps.pop();
+            steps.push(ACTIONS.HARD_DROP);
+
+            const budget = 1000 / difficulty.pps;
+            plan = { placement, steps };
+            planPiece = state.currentPiece;
+            stepIndex = 0;
+            stepInterval = budget * 0.6 / steps.length;
+            nextActionAt = clock + budget * 0.4;
+        }
+
+        /**
+         * 1tick分の思考・操作
+         */
+        function tick() {
+            clock += TICK_MS;
+            const state = game.getState();
+            if (state.gameOver || state.finished || state.paused || !state.currentPiece) {
+                stopDropping();
+                return;
+            }
+
+            if (state.currentPiece !== planPiece) {
+                stopDropping();
+                startPlan(state);
+            }
+
+            if (dropping) {
+                const piece = state.currentPiece;
+                if (Engine.isValidPosition(state.board, piece.x, piece.y + 1, piece.rotation, piece.type, state.rotationSystem)) return;
+                stopDropping();
+                stepIndex++;
+                nextActionAt = clock + stepInterval;
+                return;
+            }
+
+            if (clock < nextActionAt || stepIndex >= plan.steps.length) return;
+
+            const step = plan.steps[stepIndex];
+            if (step === ACTIONS.SOFT_DROP) {
+                dropping = true;
+                apply(ACTIONS.SOFT_DROP, true);
+                return;
+            }
+
+            apply(step, true);
+            apply(step, false);
+            stepIndex++;
+            nextActionAt = clock + stepInterval;
+            // ホールドで入れ替わったピースは計画どおりに続けて動かす
+            if (step === ACTIONS.HOLD) {
+                planPiece = game.getState().currentPiece;
+            }
+        }
+
+        function stopDropping() {
+            if (!dropping) return;
+            dropping = false;
+            apply(ACTIONS.SOFT_DROP, false);
+        }
+
+        /**
+         * 計画を破棄（リセット後など）
+         */
+        function reset() {
+            stopDropping();
+            plan = null;
+            planPiece = null;
+        }
+
+        return {
+            tick,
+            reset,
+            setDifficulty,
+            getDifficulty: () => difficulty,
+            getPlan: () => plan
+        };
+    }
+
+    return {
+        DIFFICULTIES,
+        DEFAULT_DIFFICULTY,
+        findPlacements,
+        evaluatePlacement,
+        rankPlacements,
+        getBestPlacement,
+        createBot
+    };
+});
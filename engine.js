@@ -0,0 +1,1951 @@
+/**
+ * テトリス - ゲームエンジン
+ * DOM非依存のルール実装。ブラウザ(window.TetrisEngine)、Node(require)、Workerから利用可能
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./randomizer.js'), require('./modes.js'));
+    } else {
+        root.TetrisEngine = factory(root.TetrisRandomizer, root.TetrisModes);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Randomizer, Modes) {
+    'use strict';
+
+    // ===== 定数定義 =====
+    const COLS = 10;
+    const ROWS = 20;
+
+    // 固定ステップ（60tick/秒）。描画フレームレートに関係なくこの刻みで進める
+    const TICKS_PER_SECOND = 60;
+    const TICK_MS = 1000 / TICKS_PER_SECOND;
+
+    // 操作感の既定値（プレイヤーごとに options.handling で変更できる）
+    const DEFAULT_HANDLING = {
+        das: 150,   // 横移動の連射開始までの時間（ms）
+        arr: 33,    // 横移動の連射間隔（ms）。0 = 瞬時に壁まで
+        sdf: 20,    // ソフトドロップの速さ（重力の何倍か）。SDF_INSTANT = 瞬時に接地
+        clearDelay: 150 // ライン消去の演出時間（ms）。この間は次のピースを出さない。0 = 即座に詰める
+    };
+    const SDF_INSTANT = 41;
+    // SDFが既定値のときのソフトドロップの間隔（ms）
+    const SOFT_DROP_INTERVAL = 33;
+    const MAX_LOCK_RESETS = 15;
+
+    // PC練習: 盤面がこの段数を超えるか、この個数を置いてもPCにならなければ失敗
+    const PC_PRACTICE_HEIGHT = 4;
+    const PC_PRACTICE_PIECES = 10;
+
+    // スコア定数
+    const SCORES = {
+        SINGLE: 100,
+        DOUBLE: 300,
+        TRIPLE: 500,
+        TETRIS: 800,
+        TSPIN_MINI: 100,
+        TSPIN_MINI_DOUBLE: 200,
+        TSPIN_SINGLE: 800,
+        TSPIN_DOUBLE: 1200,
+        TSPIN_TRIPLE: 1600,
+        TSPIN_ZERO: 400,            // ラインを消さないT-Spin
+        TSPIN_MINI_ZERO: 50,        // ラインを消さないT-Spin Mini
+        SOFT_DROP: 1,
+        HARD_DROP: 2,
+        B2B_MULTIPLIER: 1.5,
+        COMBO_BONUS: 50,
+        PERFECT_CLEAR: [0, 800, 1200, 1800, 2000],  // パーフェクトクリアの加算（消去ライン数ごと）
+        PERFECT_CLEAR_B2B_TETRIS: 3200              // B2BテトリスでのPC
+    };
+
+    // 対戦時の攻撃ライン数
+    const ATTACK_TABLE = {
+        LINES: [0, 0, 1, 2, 4],         // 消去ライン数ごと
+        TSPIN: [0, 2, 4, 6],            // T-Spin
+        TSPIN_MINI: [0, 0, 1],          // T-Spin Mini
+        B2B_BONUS: 1,
+        PERFECT_CLEAR: 10,
+        COMBO: [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5]  // コンボ数ごと（超過分は末尾の値）
+    };
+
+    // スピン判定のルール（all はT以外も不動判定でスピン扱い。得点・攻撃は通常の消去と同じでB2Bだけ続く）
+    const SPIN_RULES = {
+        tspin: 'T-SPINのみ',
+        all: 'ALL-SPIN'
+    };
+    const DEFAULT_SPIN_RULE = 'tspin';
+
+    // 重力カーブ（レベルごとの落下の速さ）
+    const GRAVITY_CURVES = {
+        guideline: 'ガイドライン',
+        classic: 'クラシック',
+        constant: '一定',
+        master: '20G'
+    };
+    const DEFAULT_GRAVITY_CURVE = 'guideline';
+    // 重力の単位 G（1フレームに落ちる段数）のフレーム時間
+    const GRAVITY_FRAME_MS = 1000 / 60;
+    // 最大の重力（出現と同時に接地し、操作のたびに落ちきる）
+    const MAX_GRAVITY = 20;
+    // 一定: 1秒に1段
+    const CONSTANT_GRAVITY = 1 / 60;
+    // ガイドライン: このレベル以降は計算式を伸ばさない（20Gに達している）
+    const GUIDELINE_MAX_LEVEL = 20;
+    // クラシック（NES）: レベルごとの1段に掛かるフレーム数（末尾以降は末尾の値）
+    const CLASSIC_FRAMES = [
+        48, 43, 38, 33, 28, 23, 18, 13, 8, 6,
+        5, 5, 5, 4, 4, 4, 3, 3, 3, 2,
+        2, 2, 2, 2, 2, 2, 2, 2, 2, 1
+    ];
+    // 開始レベルの上限
+    const MAX_START_LEVEL = 20;
+
+    // テトロミノ定義（matrix はホールド・NEXT表示用の形。回転状態は回転システムごとの表を使う）
+    const TETROMINOS = {
+        I: { color: '#00f0f0', matrix: [[1,1,1,1]] },
+        O: { color: '#f0f000', matrix: [[1,1],[1,1]] },
+        T: { color: '#a000f0', matrix: [[0,1,0],[1,1,1]] },
+        S: { color: '#00f000', matrix: [[0,1,1],[1,1,0]] },
+        Z: { color: '#f00000', matrix: [[1,1,0],[0,1,1]] },
+        J: { color: '#0000f0', matrix: [[1,0,0],[1,1,1]] },
+        L: { color: '#f0a000', matrix: [[0,0,1],[1,1,1]] }
+    };
+
+    const PIECE_TYPES = ['I', 'O', 'T', 'S', 'Z', 'J', 'L'];
+
+    // ゴミブロック（せり上がりライン）のセル値と色
+    const GARBAGE = 8;
+    const GARBAGE_COLOR = '#777';
+
+    // ===== 回転システム =====
+
+    // 選択できる回転システム（ゲームごとに options.rotationSystem で指定）
+    const ROTATION_SYSTEMS = {
+        srs: 'SRS',
+        ars: 'ARS（クラシック）',
+        none: 'キックなし'
+    };
+    const DEFAULT_ROTATION_SYSTEM = 'srs';
+
+    // SRSの初期状態（回転の中心がボックスの中心になる正方形のボックス）
+    const SRS_SHAPES = {
+        I: [[0,0,0,0],[1,1,1,1],[0,0,0,0],[0,0,0,0]],
+        O: [[1,1],[1,1]],
+        T: [[0,1,0],[1,1,1],[0,0,0]],
+        S: [[0,1,1],[1,1,0],[0,0,0]],
+        Z: [[1,1,0],[0,1,1],[0,0,0]],
+        J: [[1,0,0],[1,1,1],[0,0,0]],
+        L: [[0,0,1],[1,1,1],[0,0,0]]
+    };
+
+    // ARSの回転状態（ボックスの下に寄せる。S・Z・Iは2状態）
+    const ARS_STATES = {
+        I: [
+            [[0,0,0,0],[1,1,1,1],[0,0,0,0],[0,0,0,0]],
+            [[0,0,1,0],[0,0,1,0],[0,0,1,0],[0,0,1,0]],
+            [[0,0,0,0],[1,1,1,1],[0,0,0,0],[0,0,0,0]],
+            [[0,0,1,0],[0,0,1,0],[0,0,1,0],[0,0,1,0]]
+        ],
+        O: [
+            [[1,1],[1,1]],
+            [[1,1],[1,1]],
+            [[1,1],[1,1]],
+            [[1,1],[1,1]]
+        ],
+        T: [
+            [[0,0,0],[1,1,1],[0,1,0]],
+            [[0,1,0],[1,1,0],[0,1,0]],
+            [[0,0,0],[0,1,0],[1,1,1]],
+            [[0,1,0],[0,1,1],[0,1,0]]
+        ],
+        S: [
+            [[0,0,0],[0,1,1],[1,1,0]],
+            [[1,0,0],[1,1,0],[0,1,0]],
+            [[0,0,0],[0,1,1],[1,1,0]],
+            [[1,0,0],[1,1,0],[0,1,0]]
+        ],
+        Z: [
+            [[0,0,0],[1,1,0],[0,1,1]],
+            [[0,0,1],[0,1,1],[0,1,0]],
+            [[0,0,0],[1,1,0],[0,1,1]],
+            [[0,0,1],[0,1,1],[0,1,0]]
+        ],
+        J: [
+            [[0,0,0],[1,1,1],[0,0,1]],
+            [[0,1,0],[0,1,0],[1,1,0]],
+            [[0,0,0],[1,0,0],[1,1,1]],
+            [[0,1,1],[0,1,0],[0,1,0]]
+        ],
+        L: [
+            [[0,0,0],[1,1,1],[1,0,0]],
+            [[1,1,0],[0,1,0],[0,1,0]],
+            [[0,0,0],[0,0,1],[1,1,1]],
+            [[0,1,0],[0,1,0],[0,1,1]]
+        ]
+    };
+
+    // SRSキックテーブル（[dx, dy]、yは下向き。回転そのままの位置の次から順に試す）
+    const SRS_KICKS = {
+        STANDARD: {
+            '0->1': [[-1,0], [-1,-1], [0,2], [-1,2]],
+            '1->0': [[1,0], [1,1], [0,-2], [1,-2]],
+            '1->2': [[1,0], [1,1], [0,-2], [1,-2]],
+            '2->1': [[-1,0], [-1,-1], [0,2], [-1,2]],
+            '2->3': [[1,0], [1,-1], [0,2], [1,2]],
+            '3->2': [[-1,0], [-1,1], [0,-2], [-1,-2]],
+            '3->0': [[-1,0], [-1,1], [0,-2], [-1,-2]],
+            '0->3': [[1,0], [1,-1], [0,2], [1,2]]
+        },
+        I: {
+            '0->1': [[-2,0], [1,0], [-2,1], [1,-2]],
+            '1->0': [[2,0], [-1,0], [2,-1], [-1,2]],
+            '1->2': [[-1,0], [2,0], [-1,-2], [2,1]],
+            '2->1': [[1,0], [-2,0], [1,2], [-2,-1]],
+            '2->3': [[2,0], [-1,0], [2,-1], [-1,2]],
+            '3->2': [[-2,0], [1,0], [-2,1], [1,-2]],
+            '3->0': [[1,0], [-2,0], [1,2], [-2,-1]],
+            '0->3': [[-1,0], [2,0], [-1,-2], [2,1]]
+        },
+        // 180度回転（全ピース共通）
+        ROTATE_180: {
+            '0->2': [[0,-1], [1,-1], [-1,-1], [1,0], [-1,0]],
+            '2->0': [[0,1], [-1,1], [1,1], [-1,0], [1,0]],
+            '1->3': [[1,0], [1,-2], [1,-1], [0,-2], [0,-1]],
+            '3->1': [[-1,0], [-1,-2], [-1,-1], [0,-2], [0,-1]]
+        }
+    };
+
+    // ARSのキック（右、左の順に1マス。Iはキックなし）
+    const ARS_KICKS = [[1,0], [-1,0]];
+
+    // 操作アクション
+    const ACTIONS = {
+        MOVE_LEFT: 'moveLeft',
+        MOVE_RIGHT: 'moveRight',
+        SOFT_DROP: 'softDrop',
+        ROTATE_CW: 'rotateCW',
+        ROTATE_CCW: 'rotateCCW',
+        ROTATE_180: 'rotate180',
+        HARD_DROP: 'hardDrop',
+        HOLD: 'hold',
+        PAUSE: 'pause'
+    };
+
+    /**
+     * 初期状態から時計回りに回した4状態
+     */
+    function buildRotationStates(shapes) {
+        const states = {};
+        for (const [type, shape] of Object.entries(shapes)) {
+            states[type] = [shape];
+            for (let i = 1; i < 4; i++) {
+                states[type].push(rotateMatrixCW(states[type][i - 1]));
+            }
+        }
+        return states;
+    }
+
+    /**
+     * マトリクス時計回り回転
+     */
+    function rotateMatrixCW(matrix) {
+        const rows = matrix.length;
+        const cols = matrix[0].length;
+        const rotated = [];
+
+        for (let x = 0; x < cols; x++) {
+            rotated[x] = [];
+            for (let y = 0; y < rows; y++) {
+                rotated[x][y] = matrix[rows - 1 - y][x];
+            }
+        }
+
+        return rotated;
+    }
+
+    // 回転システムごとの回転状態（[ピース][回転] → マトリクス）
+    const SRS_STATES = buildRotationStates(SRS_SHAPES);
+    const ROTATION_STATES = {
+        srs: SRS_STATES,
+        ars: ARS_STATES,
+        none: SRS_STATES
+    };
+
+    /**
+     * 回転システムの名前を検証（不明なら既定のSRS）
+     */
+    function getRotationSystem(name) {
+        return ROTATION_STATES[name] ? name : DEFAULT_ROTATION_SYSTEM;
+    }
+
+    /**
+     * 回転したマトリクスを取得（共有の表なので変更しないこと）
+     */
+    function getRotatedMatrix(pieceType, rotation, rotationSystem = DEFAULT_ROTATION_SYSTEM) {
+        return ROTATION_STATES[getRotationSystem(rotationSystem)][pieceType][rotation];
+    }
+
+    /**
+     * 盤面外または埋まっているセルか（盤面より上は空き）
+     */
+    function isBlocked(board, x, y) {
+        return x < 0 || x >= COLS || y >= ROWS || (y >= 0 && board[y * COLS + x] !== 0);
+    }
+
+    /**
+     * 有効位置チェック
+     */
+    function isValidPosition(board, x, y, rotation, pieceType, rotationSystem) {
+        const matrix = getRotatedMatrix(pieceType, rotation, rotationSystem);
+
+        for (let py = 0; py < matrix.length; py++) {
+            for (let px = 0; px < matrix[py].length; px++) {
+                if (matrix[py][px] && isBlocked(board, x + px, y + py)) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 回転がその場で入らなかったときに試すずらし量
+     */
+    function getKicks(board, piece, rotation, rotationSystem) {
+        const kickKey = `${piece.rotation}->${rotation}`;
+        switch (rotationSystem) {
+            case 'none':
+                return [];
+            case 'ars':
+                if (piece.type === 'I' || piece.type === 'O') return [];
+                if ('LJT'.includes(piece.type) && isCenterColumnBlocked(board, piece, rotation)) return [];
+                return ARS_KICKS;
+            default:
+                if (piece.type === 'O') return [];
+                if ((rotation - piece.rotation + 4) % 4 === 2) return SRS_KICKS.ROTATE_180[kickKey];
+                return (piece.type === 'I' ? SRS_KICKS.I : SRS_KICKS.STANDARD)[kickKey];
+        }
+    }
+
+    /**
+     * ARSの中央列ルール（L・J・T）
+     * 回転後の形で最初に（上の行から、左から順に）ぶつかるセルが中央の列ならキックしない
+     */
+    function isCenterColumnBlocked(board, piece, rotation) {
+        const matrix = ARS_STATES[piece.type][rotation];
+        for (let py = 0; py < matrix.length; py++) {
+            for (let px = 0; px < matrix[py].length; px++) {
+                if (matrix[py][px] && isBlocked(board, piece.x + px, piece.y + py)) {
+                    return px === 1;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 回転を試す（回転システムのキック込み）
+     * @param {{type: string, x: number, y: number, rotation: number}} piece
+     * @param {number} direction 1 = 右回転, -1 = 左回転, 2 = 180度
+     * @param {string} [rotationSystem] ROTATION_SYSTEMS のキー（省略時SRS）
+     * @returns {{x: number, y: number, rotation: number, kick: number[]}|null} 回転後の位置とずらし量（回転できなければnull）
+     */
+    function tryRotate(board, piece, direction, rotationSystem = DEFAULT_ROTATION_SYSTEM) {
+        rotationSystem = getRotationSystem(rotationSystem);
+        const newRotation = (piece.rotation + direction + 4) % 4;
+        const kicks = getKicks(board, piece, newRotation, rotationSystem);
+
+        for (let [dx, dy] of [[0, 0], ...kicks]) {
+            const testX = piece.x + dx;
+            const testY = piece.y + dy;
+
+            if (isValidPosition(board, testX, testY, newRotation, piece.type, rotationSystem)) {
+                return { x: testX, y: testY, rotation: newRotation, kick: [dx, dy] };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 出現位置（ボックスを横の中央に置き、一番下のブロックが盤面のすぐ上の行に来る位置）
+     */
+    function getSpawnPosition(pieceType, rotationSystem = DEFAULT_ROTATION_SYSTEM) {
+        const matrix = getRotatedMatrix(pieceType, 0, rotationSystem);
+        let bottom = 0;
+        matrix.forEach((row, py) => {
+            if (row.some(Boolean)) bottom = py;
+        });
+        return { x: Math.floor((COLS - matrix[0].length) / 2), y: -1 - bottom };
+    }
+
+    /**
+     * Tの中心の四隅の埋まり具合（T-Spin判定用）
+     * 中心は上下左右のうち3方向にブロックが続くセル。front は凸側の2隅のうち埋まっている数
+     * @returns {{filled: number, front: number}}
+     */
+    function countTCorners(board, piece, rotationSystem) {
+        const matrix = getRotatedMatrix('T', piece.rotation, rotationSystem);
+        const at = (px, py) => Boolean(matrix[py] && matrix[py][px]);
+        const directions = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+        for (let py = 0; py < matrix.length; py++) {
+            for (let px = 0; px < matrix[py].length; px++) {
+                if (!at(px, py)) continue;
+                const missing = directions.filter(([dx, dy]) => !at(px + dx, py + dy));
+                if (missing.length !== 1) continue;
+
+                // 凸側は欠けている方向の反対
+                const nub = [-missing[0][0], -missing[0][1]];
+                let filled = 0;
+                let front = 0;
+                for (const [dx, dy] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+                    if (!isBlocked(board, piece.x + px + dx, piece.y + py + dy)) continue;
+                    filled++;
+                    if (nub[0] !== 0 ? dx === nub[0] : dy === nub[1]) front++;
+                }
+                return { filled, front };
+            }
+        }
+        return { filled: 0, front: 0 };
+    }
+
+    /**
+     * スピン判定（最後に成功した操作が回転だったピースについて、盤面に置く前に呼ぶ）
+     * T: 3-corner法。凸側の2隅がそろっていなければMini（横1・縦2のキックで入ったTST・fin形はMiniにしない）
+     * T以外: spinRule が all のときだけ、左右・上のどこにも動けなければスピン（Oを除く）
+     * @param {{type: string, x: number, y: number, rotation: number, kick?: number[]}} piece kick は最後の回転のずらし量
+     * @returns {{type: string, mini: boolean}|null}
+     */
+    function detectSpin(board, piece, rotationSystem, spinRule = DEFAULT_SPIN_RULE) {
+        if (piece.type === 'T') {
+            const corners = countTCorners(board, piece, rotationSystem);
+            if (corners.filled < 3) return null;
+            const [dx, dy] = piece.kick || [0, 0];
+            const farKick = Math.abs(dx) === 1 && Math.abs(dy) === 2;
+            return { type: 'T', mini: corners.front !== 2 && !farKick };
+        }
+        if (spinRule !== 'all' || piece.type === 'O') return null;
+
+        const fits = (dx, dy) => isValidPosition(board, piece.x + dx, piece.y + dy, piece.rotation, piece.type, rotationSystem);
+        if (fits(-1, 0) || fits(1, 0) || fits(0, -1)) return null;
+        return { type: piece.type, mini: false };
+    }
+
+    // ===== フィネス（最短操作） =====
+
+    // 最短操作の探索に使う操作（DASは壁か障害物まで動かし切る。どれも1回の押下）
+    const FINESSE_MOVES = [
+        { key: 'left', dx: -1 },
+        { key: 'right', dx: 1 },
+        { key: 'dasLeft', dx: -1, das: true },
+        { key: 'dasRight', dx: 1, das: true },
+        { key: 'cw', rotate: 1 },
+        { key: 'ccw', rotate: -1 },
+        { key: '180', rotate: 2 }
+    ];
+
+    /**
+     * 置いたときに埋まるセルの一覧（向きが違っても埋まるセルが同じなら同じ置き場所）
+     */
+    function getPlacementKey(pieceType, x, y, rotation, rotationSystem) {
+        const cells = [];
+        getRotatedMatrix(pieceType, rotation, rotationSystem).forEach((row, py) => {
+            row.forEach((cell, px) => {
+                if (cell) cells.push((y + py) * COLS + x + px);
+            });
+        });
+        return cells.sort((a, b) => a - b).join(',');
+    }
+
+    /**
+     * 出現位置から各置き場所への最短操作（出現の高さのまま移動・回転し、ハードドロップで置く）
+     * @returns {Map<string, {x: number, y: number, rotation: number, sequence: string[]}>}
+     *   getPlacementKey → 着地位置と操作の並び（FINESSE_MOVES の key。ハードドロップは含まない）
+     */
+    function findFinesse(board, pieceType, rotationSystem = DEFAULT_ROTATION_SYSTEM) {
+        const fits = (x, y, rotation) => isValidPosition(board, x, y, rotation, pieceType, rotationSystem);
+        const spawn = getSpawnPosition(pieceType, rotationSystem);
+        const placements = new Map();
+        if (!fits(spawn.x, spawn.y, 0)) return placements;
+
+        // 幅優先なので先に見つかった置き方が最短
+        const queue = [{ type: pieceType, x: spawn.x, y: spawn.y, rotation: 0, sequence: [] }];
+        const visited = new Set([`${spawn.x},${spawn.y},0`]);
+        for (let i = 0; i < queue.length; i++) {
+            const state = queue[i];
+            let landing = state.y;
+            while (fits(state.x, landing + 1, state.rotation)) landing++;
+            const key = getPlacementKey(pieceType, state.x, landing, state.rotation, rotationSystem);
+            if (!placements.has(key)) {
+                placements.set(key, { x: state.x, y: landing, rotation: state.rotation, sequence: state.sequence });
+            }
+
+            for (const move of FINESSE_MOVES) {
+                let next;
+                if (move.rotate) {
+                    next = tryRotate(board, state, move.rotate, rotationSystem);
+                    if (!next) continue;
+                } else {
+                    let x = state.x;
+                    while (fits(x + move.dx, state.y, state.rotation)) {
+                        x += move.dx;
+                        if (!move.das) break;
+                    }
+                    if (x === state.x) continue;
+                    next = { x, y: state.y, rotation: state.rotation };
+                }
+                const id = `${next.x},${next.y},${next.rotation}`;
+                if (visited.has(id)) continue;
+                visited.add(id);
+                queue.push({ type: pieceType, x: next.x, y: next.y, rotation: next.rotation, sequence: state.sequence.concat(move.key) });
+            }
+        }
+        return placements;
+    }
+
+    /**
+     * 設置の操作数を最短と比べる（盤面に置く前に呼ぶ）
+     * 真上から落として置けない位置（ソフトドロップ後の横入れ・回転入れ）は判定しない
+     * @param {{type: string, x: number, y: number, rotation: number, keys: number}} piece keys はそのピースで押した移動・回転・ソフトドロップの回数
+     * @returns {{keys: number, optimal: number, sequence: string[], fault: boolean}|null}
+     */
+    function evaluateFinesse(board, piece, rotationSystem = DEFAULT_ROTATION_SYSTEM) {
+        const key = getPlacementKey(piece.type, piece.x, piece.y, piece.rotation, rotationSystem);
+        const best = findFinesse(board, piece.type, rotationSystem).get(key);
+        if (!best) return null;
+        return {
+            keys: piece.keys,
+            optimal: best.sequence.length,
+            sequence: best.sequence,
+            fault: piece.keys > best.sequence.length
+        };
+    }
+
+    /**
+     * 色インデックス取得
+     */
+    function getColorIndex(pieceType) {
+        return PIECE_TYPES.indexOf(pieceType) + 1;
+    }
+
+    /**
+     * ピース色取得
+     */
+    function getPieceColor(colorIndex) {
+        if (colorIndex === GARBAGE) return GARBAGE_COLOR;
+        return TETROMINOS[PIECE_TYPES[colorIndex - 1]].color;
+    }
+
+    // 消去の種類（統計の集計キー。表示順）
+    const CLEAR_TYPES = [
+        'single', 'double', 'triple', 'tetris',
+        'tspinMini', 'tspinMiniSingle', 'tspinMiniDouble',
+        'tspin', 'tspinSingle', 'tspinDouble', 'tspinTriple',
+        'allSpin'
+    ];
+
+    /**
+     * 消去の種類（CLEAR_TYPES のいずれか。ラインを消さない通常の設置は null）
+     * @param {{lines: number, spin: string|null, mini: boolean}} clear
+     */
+    function getClearType({ lines, spin, mini }) {
+        if (spin && spin !== 'T') return 'allSpin';
+        if (spin) {
+            return (mini ? 'tspinMini' : 'tspin') + ['', 'Single', 'Double', 'Triple'][lines];
+        }
+        return CLEAR_TYPES[lines - 1] || null;
+    }
+
+    /**
+     * 統計の初期値
+     * keys: 操作の押下回数、attack: 送った（対戦以外では送れる）ライン数の合計、b2bChain: 続いているB2Bの回数
+     * finesseFaults: 最短より多く操作した設置の数
+     */
+    function createStats() {
+        const clears = {};
+        for (const type of CLEAR_TYPES) clears[type] = 0;
+        return { pieces: 0, keys: 0, attack: 0, clears, maxCombo: 0, b2bChain: 0, maxB2bChain: 0, finesseFaults: 0 };
+    }
+
+    /**
+     * 攻撃ライン数計算（lineClearイベントの内容から）
+     * @param {{lines: number, spin: string|null, mini: boolean, b2b: boolean, combo: number, perfectClear?: boolean}} clear
+     */
+    function computeAttack(clear) {
+        let attack;
+        if (clear.spin === 'T') {
+            attack = (clear.mini ? ATTACK_TABLE.TSPIN_MINI : ATTACK_TABLE.TSPIN)[clear.lines] || 0;
+        } else {
+            attack = ATTACK_TABLE.LINES[clear.lines] || 0;
+        }
+        if (clear.b2b) {
+            attack += ATTACK_TABLE.B2B_BONUS;
+        }
+        if (clear.perfectClear) {
+            attack += ATTACK_TABLE.PERFECT_CLEAR;
+        }
+        const combo = Math.max(0, clear.combo);
+        attack += ATTACK_TABLE.COMBO[Math.min(combo, ATTACK_TABLE.COMBO.length - 1)];
+        return attack;
+    }
+
+    /**
+     * 重力（G = 1フレームに落ちる段数。MAX_GRAVITY で頭打ち）
+     * @param {string} curve GRAVITY_CURVES のキー（不明なものはガイドライン）
+     * @param {number} level 1始まりのレベル
+     */
+    function getGravity(curve, level) {
+        switch (curve) {
+            case 'classic':
+                return 1 / CLASSIC_FRAMES[Math.min(level, CLASSIC_FRAMES.length) - 1];
+            case 'constant':
+                return CONSTANT_GRAVITY;
+            case 'master':
+                return MAX_GRAVITY;
+            default: {
+                // ガイドライン: 1段の秒数 = (0.8 - (レベル-1) * 0.007) ^ (レベル-1)
+                const n = Math.min(level, GUIDELINE_MAX_LEVEL) - 1;
+                const seconds = Math.pow(0.8 - n * 0.007, n);
+                return Math.min(GRAVITY_FRAME_MS / (seconds * 1000), MAX_GRAVITY);
+            }
+        }
+    }
+
+    /**
+     * 開始レベルを検証（整数でなければ1、範囲外は 1〜MAX_START_LEVEL に収める）
+     */
+    function getStartLevel(level) {
+        if (!Number.isInteger(level)) return 1;
+        return Math.max(1, Math.min(level, MAX_START_LEVEL));
+    }
+
+    /**
+     * ゲーム生成
+     * @param {{seed?: string, randomizer?: string, mode?: string}} [options] 省略時はランダムなシード・7バッグ・マラソン
+     * @returns {{on: Function, reset: Function, apply: Function, tick: Function, step: Function, addGarbage: Function, getState: Function, getRules: Function, getGhostPosition: Function, getSnapshot: Function, restoreSnapshot: Function, setQueue: Function}}
+     */
+    function createGame(options) {
+        // ===== ゲーム状態 =====
+        const gameState = {
+            board: new Uint8Array(ROWS * COLS),
+            currentPiece: null,
+            holdPiece: null,
+            canHold: true,
+            nextPieces: [],
+            seed: '',
+            randomizer: Randomizer.DEFAULT_GENERATOR,
+            rotationSystem: DEFAULT_ROTATION_SYSTEM,
+            spinRule: DEFAULT_SPIN_RULE,
+            gravityCurve: DEFAULT_GRAVITY_CURVE,
+            mode: Modes.DEFAULT_MODE,
+            score: 0,
+            startLevel: 1,
+            level: 1,
+            lines: 0,
+            combo: -1,
+            b2b: false,
+            lastWasSpecial: false,
+            perfectClears: 0,
+            pcAttempts: 0,
+            pcPieces: 0,
+            finesseTarget: null,
+            guideSteps: null,
+            guideTarget: null,
+            guidePlaced: 0,
+            stats: createStats(),
+            gameOver: false,
+            finished: false,
+            paused: false,
+            countdown: 0,
+            time: 0,
+            splits: [],
+            garbageCleared: 0,
+            garbageRemaining: 0,
+            dropTimer: 0,
+            lockTimer: 0,
+            lockResets: 0,
+            isLocked: false,
+            lineClears: []
+        };
+
+        // 入力状態
+        const input = {
+            leftTime: 0,
+            rightTime: 0,
+            downTime: 0,
+            leftPressed: false,
+            rightPressed: false,
+            downPressed: false
+        };
+
+        // ピース生成器
+        let randomizer = null;
+
+        // モードのルール
+        let rules = Modes.getRules(Modes.DEFAULT_MODE);
+
+        // 操作感（DAS/ARR/SDF）
+        let handling = Object.assign({}, DEFAULT_HANDLING);
+
+        // ゴミラインの穴位置用乱数（ピース順とは独立）
+        let garbageRng = null;
+        let garbageHole = -1;
+
+        // フィネス練習の目標位置用乱数
+        let finesseRng = null;
+
+        // 開始局面で指定された、生成器より先に出すピース
+        let presetPieces = [];
+
+        // 消去演出中（盤面を詰める待ち）のライン { rows, timer, duration }
+        const pendingClears = gameState.lineClears;
+
+        // 盤面を詰め終わるまで待たせているせり上がり { count, hole }
+        const garbageQueue = [];
+
+        // イベント購読者
+        const listeners = {};
+
+        /**
+         * イベント購読（戻り値で解除）
+         */
+        function on(type, handler) {
+            (listeners[type] || (listeners[type] = [])).push(handler);
+            return () => {
+                listeners[type] = listeners[type].filter(h => h !== handler);
+            };
+        }
+
+        /**
+         * イベント通知
+         */
+        function emit(type, data) {
+            const handlers = listeners[type];
+            if (!handlers) return;
+            for (const handler of handlers.slice()) {
+                handler(data);
+            }
+        }
+
+        /**
+         * ゲームリセット
+         * @param {{seed?: string, randomizer?: string, rotationSystem?: string, spinRule?: string, gravityCurve?: string, startLevel?: number, mode?: string, rules?: object, handling?: object}} [options]
+         *   rotationSystem は ROTATION_SYSTEMS のキー（省略時SRS）、spinRule は SPIN_RULES のキー（省略時T-Spinのみ）
+         *   gravityCurve は GRAVITY_CURVES のキー（省略時ガイドライン）、startLevel はライン数でレベルが上がるモードの開始レベル（1〜MAX_START_LEVEL）
+         *   rules はモード既定のルールを部分的に上書きする（掘りモードの穴変化率など）
+         *   handling は DEFAULT_HANDLING を部分的に上書きする
+         *   position は開始局面 { board: 色インデックスの配列, hold: ピース種別|null, queue: 先に出すピース種別の配列 }
+         */
+        function reset(options = {}) {
+            const seed = options.seed != null && options.seed !== '' ? String(options.seed) : Randomizer.generateSeed();
+            rules = Object.assign(Modes.getRules(options.mode), options.rules);
+            randomizer = Randomizer.createRandomizer(rules.randomizer || options.randomizer || Randomizer.DEFAULT_GENERATOR, seed);
+            handling = Object.assign({}, DEFAULT_HANDLING, options.handling);
+            garbageRng = Randomizer.createRng(Randomizer.hashSeed(`${seed}:garbage`));
+            garbageHole = -1;
+            finesseRng = Randomizer.createRng(Randomizer.hashSeed(`${seed}:finesse`));
+
+            gameState.board.fill(0);
+            gameState.currentPiece = null;
+            gameState.holdPiece = null;
+            gameState.canHold = true;
+            gameState.nextPieces = [];
+            gameState.seed = randomizer.seed;
+            gameState.randomizer = randomizer.type;
+            gameState.rotationSystem = getRotationSystem(options.rotationSystem);
+            gameState.spinRule = SPIN_RULES[options.spinRule] ? options.spinRule : DEFAULT_SPIN_RULE;
+            gameState.gravityCurve = GRAVITY_CURVES[options.gravityCurve] ? options.gravityCurve : DEFAULT_GRAVITY_CURVE;
+            gameState.mode = options.mode || Modes.DEFAULT_MODE;
+            gameState.score = 0;
+            gameState.startLevel = rules.leveling ? getStartLevel(options.startLevel) : 1;
+            gameState.level = gameState.startLevel;
+            gameState.lines = 0;
+            gameState.combo = -1;
+            gameState.b2b = false;
+            gameState.lastWasSpecial = false;
+            gameState.perfectClears = 0;
+            gameState.pcAttempts = 0;
+            gameState.pcPieces = 0;
+            gameState.finesseTarget = null;
+            gameState.guideSteps = rules.guide
+                ? rules.guide.map(step => ({ type: step.type, cells: step.cells.slice() }))
+                : null;
+            gameState.guideTarget = null;
+            gameState.guidePlaced = 0;
+            gameState.stats = createStats();
+            gameState.gameOver = false;
+            gameState.finished = false;
+            gameState.paused = false;
+            gameState.countdown = rules.countdown;
+            gameState.time = 0;
+            gameState.splits = [];
+            gameState.garbageCleared = 0;
+            gameState.garbageRemaining = rules.garbageGoal;
+            gameState.dropTimer = 0;
+            gameState.lockTimer = 0;
+            gameState.lockResets = 0;
+            gameState.isLocked = false;
+
+            input.leftTime = 0;
+            input.rightTime = 0;
+            input.downTime = 0;
+            input.leftPressed = false;
+            input.rightPressed = false;
+            input.downPressed = false;
+            pendingClears.length = 0;
+            garbageQueue.length = 0;
+            presetPieces = [];
+
+            if (options.position) {
+                setPosition(options.position);
+            }
+
+            // 初期ピース生成
+            fillNextPieces();
+
+            // 掘りモードは開始前にゴミラインを敷く
+            refillGarbage();
+
+            emit('reset');
+
+            // カウントダウンがなければ即開始
+            if (gameState.countdown <= 0) {
+                start();
+            }
+        }
+
+        /**
+         * 開始局面（盤面・ホールド・先に出すピース）を反映。不正な値は空として扱う
+         */
+        function setPosition(position) {
+            if (Array.isArray(position.board) && position.board.length === ROWS * COLS) {
+                position.board.forEach((cell, i) => {
+                    gameState.board[i] = Number.isInteger(cell) && cell > 0 && cell <= GARBAGE ? cell : 0;
+                });
+            }
+            gameState.holdPiece = TETROMINOS[position.hold] ? position.hold : null;
+            presetPieces = (position.queue || []).filter(type => TETROMINOS[type]);
+        }
+
+        /**
+         * プレイ開始（最初のピースを出す）
+         */
+        function start() {
+            gameState.countdown = 0;
+            spawnPiece();
+            emit('start');
+        }
+
+        /**
+         * 押したキーを数える（押しっぱなしの横移動・ソフトドロップは最初の1回だけ。カウントダウン中は数えない）
+         */
+        function countKey(action) {
+            if (gameState.countdown > 0) return;
+            gameState.stats.keys++;
+            // フィネス判定用（ハードドロップ・ホールドはピースが替わり、ソフトドロップは最短の操作に含まないので数えない）
+            if (gameState.currentPiece && action !== ACTIONS.HARD_DROP && action !== ACTIONS.HOLD && action !== ACTIONS.SOFT_DROP) {
+                gameState.currentPiece.keys++;
+            }
+        }
+
+        /**
+         * 操作適用（押下/解放）
+         */
+        function apply(action, pressed = true) {
+            if (gameState.gameOver || gameState.finished) return;
+            if (gameState.paused && action !== ACTIONS.PAUSE) return;
+
+            switch (action) {
+                case ACTIONS.MOVE_LEFT:
+                    if (pressed && !input.leftPressed) {
+                        countKey(action);
+                        movePiece(-1);
+                        input.leftTime = 0;
+                    }
+                    input.leftPressed = pressed;
+                    if (!pressed) input.leftTime = 0;
+                    break;
+                case ACTIONS.MOVE_RIGHT:
+                    if (pressed && !input.rightPressed) {
+                        countKey(action);
+                        movePiece(1);
+                        input.rightTime = 0;
+                    }
+                    input.rightPressed = pressed;
+                    if (!pressed) input.rightTime = 0;
+                    break;
+                case ACTIONS.SOFT_DROP:
+                    if (pressed && !input.downPressed) {
+                        countKey(action);
+                        input.downTime = getSoftDropInterval();
+                    }
+                    input.downPressed = pressed;
+                    if (!pressed) input.downTime = 0;
+                    break;
+                default:
+                    if (!pressed) return;
+                    if (action !== ACTIONS.PAUSE) countKey(action);
+                    switch (action) {
+                        case ACTIONS.ROTATE_CCW:
+                            rotatePiece(-1);
+                            break;
+                        case ACTIONS.ROTATE_CW:
+                            rotatePiece(1);
+                            break;
+                        case ACTIONS.ROTATE_180:
+                            rotatePiece(2);
+                            break;
+                        case ACTIONS.HARD_DROP:
+                            hardDrop();
+                            break;
+                        case ACTIONS.HOLD:
+                            holdCurrentPiece();
+                            break;
+                        case ACTIONS.PAUSE:
+                            togglePause();
+                            break;
+                    }
+            }
+        }
+
+        /**
+         * 1tick進める
+         */
+        function tick() {
+            step(TICK_MS);
+        }
+
+        /**
+         * 時間経過（ms）
+         * 通常は tick() を使う
+         */
+        function step(dt) {
+            // 消去演出は終了後も盤面を詰め終えるまで進める
+            if (!gameState.paused) {
+                updateLineClears(dt);
+            }
+
+            if (gameState.gameOver || gameState.finished || gameState.paused) return;
+
+            // カウントダウン中はピースなし（押しっぱなしの入力だけ受け付ける）
+            if (gameState.countdown > 0) {
+                gameState.countdown -= dt;
+                if (gameState.countdown <= 0) {
+                    start();
+                }
+                return;
+            }
+
+            gameState.time += dt;
+
+            // 制限時間到達で終了
+            if (rules.timeLimit && gameState.time >= rules.timeLimit) {
+                gameState.time = rules.timeLimit;
+                finishGame();
+                return;
+            }
+
+            updateInput(dt);
+            updateGravity(dt);
+            updateLockTimer(dt);
+        }
+
+        /**
+         * 次のピース種別を取得（開始局面の指定を使い切ったら生成器から）
+         */
+        function getNextPiece() {
+            return presetPieces.length > 0 ? presetPieces.shift() : randomizer.next();
+        }
+
+        /**
+         * NEXTを5個まで補充
+         */
+        function fillNextPieces() {
+            while (gameState.nextPieces.length < 5) {
+                gameState.nextPieces.push(getNextPiece());
+            }
+        }
+
+        /**
+         * ピース生成
+         */
+        function spawnPiece() {
+            const pieceType = gameState.nextPieces.shift();
+            gameState.nextPieces.push(getNextPiece());
+
+            const { x, y } = getSpawnPosition(pieceType, gameState.rotationSystem);
+
+            gameState.currentPiece = createPiece(pieceType, x, y);
+
+            gameState.canHold = true;
+            gameState.lockTimer = 0;
+            gameState.lockResets = 0;
+            gameState.isLocked = false;
+
+            // スポーン時衝突チェック（ゲームオーバー）
+            if (!canPlace(x, y, 0, pieceType)) {
+                endGame();
+                return;
+            }
+            applyMaxGravity();
+            chooseFinesseTarget();
+            chooseGuideTarget();
+            emit('spawn', { type: pieceType });
+        }
+
+        /**
+         * 操作中のピース（rotated: 最後に成功した操作が回転か、kick: そのときのずらし量、keys: 押した移動・回転・ソフトドロップの回数）
+         */
+        function createPiece(type, x, y) {
+            return { type, x, y, rotation: 0, rotated: false, kick: null, keys: 0 };
+        }
+
+        /**
+         * フィネス練習: 操作中のピースの目標位置を置き場所の中から選ぶ
+         */
+        function chooseFinesseTarget() {
+            if (!rules.finesseTraining) return;
+            const type = gameState.currentPiece.type;
+            const placements = Array.from(findFinesse(gameState.board, type, gameState.rotationSystem).values());
+            const target = placements[finesseRng.int(placements.length)];
+            gameState.finesseTarget = Object.assign({ type }, target);
+        }
+
+        /**
+         * ガイド: 操作中のピースで次に置く場所（残りの手のうち同じ種類で最初のもの。なければnull）
+         */
+        function chooseGuideTarget() {
+            if (!gameState.guideSteps) return;
+            const type = gameState.currentPiece.type;
+            gameState.guideTarget = gameState.guideSteps.find(step => step.type === type) || null;
+        }
+
+        /**
+         * ガイド: 置いた位置が残りの手のどれかと一致すればその手を済ませる（順番は問わない）
+         * @returns {boolean} 一致したか
+         */
+        function advanceGuide(piece) {
+            const key = getPlacementKey(piece.type, piece.x, piece.y, piece.rotation, gameState.rotationSystem);
+            const steps = gameState.guideSteps;
+            const index = steps.findIndex(step => step.type === piece.type && step.cells.join(',') === key);
+            const success = index >= 0;
+            if (success) {
+                steps.splice(index, 1);
+                gameState.guidePlaced++;
+            }
+            gameState.guideTarget = null;
+            emit('guide', { success, placed: gameState.guidePlaced, remaining: steps.length });
+            return success;
+        }
+
+        /**
+         * ガイド: 消えた行より上にある残りの手の位置を詰める
+         */
+        function shiftGuideSteps(rows) {
+            for (const step of gameState.guideSteps) {
+                step.cells = step.cells.map(cell => {
+                    const below = rows.filter(row => row > Math.floor(cell / COLS)).length;
+                    return cell + below * COLS;
+                });
+            }
+        }
+
+        /**
+         * ゲームオーバー処理
+         */
+        function endGame() {
+            gameState.gameOver = true;
+            emit('gameOver');
+        }
+
+        /**
+         * クリア処理（目標達成・制限時間で終了）
+         */
+        function finishGame() {
+            gameState.finished = true;
+            gameState.currentPiece = null;
+            emit('finish', {
+                time: gameState.time,
+                splits: gameState.splits.slice(),
+                score: gameState.score,
+                lines: gameState.lines
+            });
+        }
+
+        /**
+         * 目標（ライン数・ゴミライン数・問題の条件・ガイドの全手順）を達成したか
+         */
+        function isGoalReached() {
+            if (rules.lineGoal && gameState.lines >= rules.lineGoal) return true;
+            if (rules.garbageGoal && gameState.garbageCleared >= rules.garbageGoal) return true;
+            if (rules.puzzleGoal && isPuzzleSolved()) return true;
+            if (gameState.guideSteps && gameState.guideSteps.length === 0) return true;
+            return false;
+        }
+
+        /**
+         * 問題の条件（ライン数・消去の種類・パーフェクトクリア）をすべて満たしたか
+         */
+        function isPuzzleSolved() {
+            const goal = rules.puzzleGoal;
+            if (goal.lines && gameState.lines < goal.lines) return false;
+            if (goal.clear && !gameState.stats.clears[goal.clear]) return false;
+            if (goal.perfectClear && gameState.perfectClears === 0) return false;
+            return true;
+        }
+
+        /**
+         * 問題の失敗判定（達成しないまま置ける数を使い切った）
+         */
+        function isPuzzleFailed() {
+            const goal = rules.puzzleGoal;
+            return Boolean(goal && goal.pieces && gameState.stats.pieces >= goal.pieces);
+        }
+
+        /**
+         * 掘りモード: 盤面のゴミラインが garbageRows 段になるまで補充
+         */
+        function refillGarbage() {
+            if (!rules.garbageGoal) return;
+
+            let onBoard = countGarbageRows();
+            while (onBoard < rules.garbageRows && gameState.garbageRemaining > 0) {
+                insertGarbage(1, nextGarbageHole());
+                gameState.garbageRemaining--;
+                onBoard++;
+            }
+        }
+
+        /**
+         * 外部からのせり上がり（対戦の攻撃など）
+         * ライン消去の詰め待ち中は盤面の行番号がずれるため、詰め終わってから反映する
+         */
+        function addGarbage(count, hole) {
+            if (gameState.gameOver || gameState.finished || count <= 0) return;
+            garbageQueue.push({ count, hole });
+            if (pendingClears.length === 0) {
+                flushGarbage();
+            }
+        }
+
+        /**
+         * 待たせていたせり上がりを反映
+         */
+        function flushGarbage() {
+            while (garbageQueue.length > 0 && !gameState.gameOver) {
+                const { count, hole } = garbageQueue.shift();
+                insertGarbage(Math.min(count, ROWS), hole);
+            }
+        }
+
+        /**
+         * 次のゴミラインの穴位置（garbageMessiness の確率で前の段から移動）
+         */
+        function nextGarbageHole() {
+            if (garbageHole < 0 || garbageRng.next() < rules.garbageMessiness) {
+                const previous = garbageHole;
+                do {
+                    garbageHole = garbageRng.int(COLS);
+                } while (garbageHole === previous);
+            }
+            return garbageHole;
+        }
+
+        /**
+         * 下からゴミラインをせり上げる（穴は hole 列に1つ）
+         * 押し出された最上段にブロックがあればゲームオーバー
+         */
+        function insertGarbage(count, hole) {
+            const board = gameState.board;
+            let topOut = false;
+            for (let i = 0; i < count * COLS; i++) {
+                if (board[i]) topOut = true;
+            }
+
+            board.copyWithin(0, count * COLS);
+            for (let y = ROWS - count; y < ROWS; y++) {
+                for (let x = 0; x < COLS; x++) {
+                    board[y * COLS + x] = x === hole ? 0 : GARBAGE;
+                }
+            }
+
+            // 操作中のピースは重ならない位置まで押し上げる
+            const piece = gameState.currentPiece;
+            if (piece) {
+                while (!canPlace(piece.x, piece.y, piece.rotation) && piece.y > -ROWS) {
+                    piece.y--;
+                }
+            }
+
+            emit('garbage', { lines: count, hole });
+
+            if (topOut) {
+                endGame();
+            }
+        }
+
+        /**
+         * ゴミブロックを含む行数
+         */
+        function countGarbageRows() {
+            let count = 0;
+            for (let y = 0; y < ROWS; y++) {
+                for (let x = 0; x < COLS; x++) {
+                    if (gameState.board[y * COLS + x] === GARBAGE) {
+                        count++;
+                        break;
+                    }
+                }
+            }
+            return count;
+        }
+
+        /**
+         * スプリットタイム記録（splitIntervalライン到達ごと）
+         */
+        function recordSplits() {
+            if (!rules.splitInterval) return;
+
+            const limit = rules.lineGoal || Infinity;
+            while ((gameState.splits.length + 1) * rules.splitInterval <= Math.min(gameState.lines, limit)) {
+                gameState.splits.push(gameState.time);
+            }
+        }
+
+        /**
+         * 現在の盤面での有効位置チェック
+         */
+        function canPlace(x, y, rotation, pieceType) {
+            return isValidPosition(gameState.board, x, y, rotation, pieceType || gameState.currentPiece.type, gameState.rotationSystem);
+        }
+
+        /**
+         * ピース移動
+         */
+        function movePiece(dx) {
+            if (!gameState.currentPiece || gameState.gameOver || gameState.paused) return false;
+
+            const newX = gameState.currentPiece.x + dx;
+            if (canPlace(newX, gameState.currentPiece.y, gameState.currentPiece.rotation)) {
+                gameState.currentPiece.x = newX;
+                gameState.currentPiece.rotated = false;
+                if (gameState.isLocked) {
+                    resetLockTimer();
+                }
+                applyMaxGravity();
+                return true;
+            }
+            return false;
+        }
+
+        /**
+         * ピース回転
+         */
+        function rotatePiece(direction) {
+            if (!gameState.currentPiece || gameState.gameOver || gameState.paused) return;
+
+            const piece = gameState.currentPiece;
+            const rotated = tryRotate(gameState.board, piece, direction, gameState.rotationSystem);
+            if (!rotated) return;
+
+            piece.x = rotated.x;
+            piece.y = rotated.y;
+            piece.rotation = rotated.rotation;
+            piece.rotated = true;
+            piece.kick = rotated.kick;
+            if (gameState.isLocked) {
+                resetLockTimer();
+            }
+            applyMaxGravity();
+        }
+
+        /**
+         * ロックタイマーリセット
+         */
+        function resetLockTimer() {
+            if (gameState.lockResets < MAX_LOCK_RESETS) {
+                gameState.lockTimer = 0;
+                gameState.lockResets++;
+                gameState.isLocked = false;
+            }
+        }
+
+        /**
+         * ハードドロップ
+         */
+        function hardDrop() {
+            if (!gameState.currentPiece || gameState.gameOver || gameState.paused) return;
+
+            const piece = gameState.currentPiece;
+            let dropDistance = 0;
+
+            while (canPlace(piece.x, piece.y + 1, piece.rotation)) {
+                piece.y++;
+                dropDistance++;
+            }
+            if (dropDistance > 0) piece.rotated = false;
+
+            gameState.score += dropDistance * SCORES.HARD_DROP;
+            gameState.canHold = false;
+            lockPiece();
+            emit('hardDrop', { distance: dropDistance });
+        }
+
+        /**
+         * ホールド処理
+         */
+        function holdCurrentPiece() {
+            if (!gameState.currentPiece || !gameState.canHold || gameState.gameOver || gameState.paused) return;
+
+            const currentType = gameState.currentPiece.type;
+
+            if (gameState.holdPiece) {
+                // ホールドピースと交換
+                const { x, y } = getSpawnPosition(gameState.holdPiece, gameState.rotationSystem);
+
+                gameState.currentPiece = createPiece(gameState.holdPiece, x, y);
+                applyMaxGravity();
+                chooseFinesseTarget();
+                chooseGuideTarget();
+            } else {
+                // 新しいピース生成
+                spawnPiece();
+            }
+
+            gameState.holdPiece = currentType;
+            gameState.canHold = Boolean(rules.infiniteHold);
+            gameState.lockTimer = 0;
+            gameState.lockResets = 0;
+            gameState.isLocked = false;
+
+            emit('hold', { type: currentType });
+        }
+
+        /**
+         * ピースロック
+         */
+        function lockPiece() {
+            const piece = gameState.currentPiece;
+            const matrix = getRotatedMatrix(piece.type, piece.rotation, gameState.rotationSystem);
+
+            if (rules.finesseTraining) {
+                lockFinesseTraining(piece);
+                return;
+            }
+
+            // スピン判定（置く前の盤面で。最後に成功した操作が回転のときだけ）
+            const spin = piece.rotated
+                ? detectSpin(gameState.board, piece, gameState.rotationSystem, gameState.spinRule)
+                : null;
+
+            // フィネス判定（置く前の盤面で）
+            const finesse = evaluateFinesse(gameState.board, piece, gameState.rotationSystem);
+            if (finesse) {
+                if (finesse.fault) gameState.stats.finesseFaults++;
+                emit('finesse', finesse);
+            }
+
+            // ガイドの手順と違う位置に置いたら失敗
+            const guideMissed = gameState.guideSteps ? !advanceGuide(piece) : false;
+
+            // 天井はみ出し（トップアウト）検出用
+            let topOut = false;
+
+            // ボードに配置
+            for (let py = 0; py < matrix.length; py++) {
+                for (let px = 0; px < matrix[py].length; px++) {
+                    if (matrix[py][px]) {
+                        const nx = piece.x + px;
+                        const ny = piece.y + py;
+                        if (ny < 0) {
+                            topOut = true; // 画面上端より上に残ってロック
+                            continue;
+                        }
+                        gameState.board[ny * COLS + nx] = getColorIndex(piece.type);
+                    }
+                }
+            }
+
+            gameState.stats.pieces++;
+
+            // トップアウトなら即ゲームオーバー
+            if (topOut) {
+                endGame();
+                return;
+            }
+
+            // ライン消去
+            const linesCleared = clearLines();
+            const perfectClear = linesCleared > 0 && isBoardCleared();
+
+            // スコア計算
+            if (linesCleared > 0) {
+                calculateScore(linesCleared, spin, perfectClear);
+                gameState.lines += linesCleared;
+                if (rules.leveling) {
+                    gameState.level = gameState.startLevel + Math.floor(gameState.lines / 10);
+                }
+                recordSplits();
+                const clear = {
+                    lines: linesCleared,
+                    spin: spin ? spin.type : null,
+                    mini: Boolean(spin && spin.mini),
+                    b2b: gameState.b2b,
+                    combo: gameState.combo,
+                    perfectClear,
+                    rows: pendingClears[pendingClears.length - 1].rows.slice()
+                };
+                clear.attack = computeAttack(clear);
+                recordClearStats(clear);
+                if (gameState.guideSteps) shiftGuideSteps(clear.rows);
+                emit('lineClear', clear);
+            } else {
+                gameState.combo = -1;
+                if (spin) {
+                    scoreZeroLineSpin(spin);
+                    recordClearStats({ lines: 0, spin: spin.type, mini: spin.mini, combo: -1, attack: 0 });
+                    emit('spin', { spin: spin.type, mini: spin.mini });
+                }
+            }
+
+            // PC練習: PCか失敗で盤面を空にして次の挑戦
+            if (rules.pcPractice) {
+                gameState.pcPieces++;
+                if (perfectClear || isPcPracticeFailed()) {
+                    startPcRound(perfectClear);
+                }
+            }
+
+            // 目標到達でクリア
+            if (isGoalReached()) {
+                finishGame();
+                emit('lock', { type: piece.type });
+                return;
+            }
+
+            // 問題は置ける数を使い切ったら、ガイドは手順と違う位置に置いたら失敗
+            if (guideMissed || isPuzzleFailed()) {
+                gameState.currentPiece = null;
+                endGame();
+                emit('lock', { type: piece.type });
+                return;
+            }
+
+            // 消去演出が終わるまで次のピースは出さない（待ち時間0ならここで詰めて出す）
+            if (pendingClears.length > 0) {
+                gameState.currentPiece = null;
+                gameState.isLocked = false;
+                updateLineClears(0);
+                emit('lock', { type: piece.type });
+                return;
+            }
+
+            // 消去がなければすぐ、あれば盤面を詰めた後にゴミラインを補充
+            if (linesCleared === 0 && pendingClears.length === 0) {
+                refillGarbage();
+                if (gameState.gameOver) return;
+            }
+
+            // 新しいピース生成
+            spawnPiece();
+            emit('lock', { type: piece.type });
+        }
+
+        /**
+         * フィネス練習の設置（盤面には置かない）
+         * 目標の位置に最短の操作数で置ければ次のピース、そうでなければフォルトとして同じピースを出現位置からやり直す
+         */
+        function lockFinesseTraining(piece) {
+            const target = gameState.finesseTarget;
+            const rotationSystem = gameState.rotationSystem;
+            const missed = getPlacementKey(piece.type, piece.x, piece.y, piece.rotation, rotationSystem) !==
+                getPlacementKey(target.type, target.x, target.y, target.rotation, rotationSystem);
+            const result = {
+                keys: piece.keys,
+                optimal: target.sequence.length,
+                sequence: target.sequence,
+                fault: missed || piece.keys > target.sequence.length,
+                missed
+            };
+
+            gameState.stats.pieces++;
+            if (result.fault) gameState.stats.finesseFaults++;
+            emit('finesse', result);
+
+            if (result.fault) {
+                const { x, y } = getSpawnPosition(piece.type, rotationSystem);
+                gameState.currentPiece = createPiece(piece.type, x, y);
+                gameState.canHold = true;
+                gameState.lockTimer = 0;
+                gameState.lockResets = 0;
+                gameState.isLocked = false;
+            } else {
+                spawnPiece();
+            }
+            emit('lock', { type: piece.type });
+        }
+
+        /**
+         * 詰める待ちの行を除いて盤面が空か（パーフェクトクリア判定）
+         */
+        function isBoardCleared() {
+            for (let y = 0; y < ROWS; y++) {
+                if (pendingClears.some(pending => pending.rows.includes(y))) continue;
+                for (let x = 0; x < COLS; x++) {
+                    if (gameState.board[y * COLS + x]) return false;
+                }
+            }
+            return true;
+        }
+
+        /**
+         * PC練習の失敗判定（高さ超過か、PCに必要な個数を置き切った）
+         */
+        function isPcPracticeFailed() {
+            if (gameState.pcPieces >= PC_PRACTICE_PIECES) return true;
+            return gameState.board.subarray(0, (ROWS - PC_PRACTICE_HEIGHT) * COLS).some(Boolean);
+        }
+
+        /**
+         * PC練習の次の挑戦（盤面・ホールドを空にし、NEXTを新しいバッグの先頭から配り直す）
+         */
+        function startPcRound(success) {
+            gameState.pcAttempts++;
+            gameState.pcPieces = 0;
+            gameState.board.fill(0);
+            pendingClears.length = 0;
+            garbageQueue.length = 0;
+            gameState.holdPiece = null;
+            gameState.combo = -1;
+            randomizer.discardBag();
+            gameState.nextPieces = [];
+            fillNextPieces();
+            emit('pcRound', { success, perfectClears: gameState.perfectClears, attempts: gameState.pcAttempts });
+        }
+
+        /**
+         * ライン消去
+         */
+        function clearLines() {
+            const linesToClear = [];
+            let garbageLines = 0;
+
+            for (let y = 0; y < ROWS; y++) {
+                // 詰める待ちの行は二重に数えない
+                if (pendingClears.some(pending => pending.rows.includes(y))) continue;
+
+                let full = true;
+                for (let x = 0; x < COLS; x++) {
+                    if (!gameState.board[y * COLS + x]) {
+                        full = false;
+                        break;
+                    }
+                }
+                if (full) {
+                    linesToClear.push(y);
+                    if (gameState.board.subarray(y * COLS, (y + 1) * COLS).includes(GARBAGE)) {
+                        garbageLines++;
+                    }
+                }
+            }
+
+            if (linesToClear.length === 0) return 0;
+
+            gameState.garbageCleared += garbageLines;
+
+            // 消去演出: ゲーム時間で待ってから詰める
+            pendingClears.push({
+                rows: linesToClear,
+                timer: 0,
+                duration: handling.clearDelay
+            });
+
+            return linesToClear.length;
+        }
+
+        /**
+         * 消去演出を進め、終わったら盤面を詰める
+         */
+        function updateLineClears(dt) {
+            while (pendingClears.length > 0) {
+                const pending = pendingClears[0];
+                pending.timer += dt;
+                if (pending.timer < pending.duration) return;
+                pendingClears.shift();
+                collapseRows(pending.rows);
+                if (pendingClears.length === 0) {
+                    endLineClear();
+                }
+            }
+        }
+
+        /**
+         * 盤面を詰め終えた: 待たせていたせり上がり・ゴミラインを反映して次のピースを出す
+         */
+        function endLineClear() {
+            flushGarbage();
+            refillGarbage();
+            if (!gameState.currentPiece && !gameState.gameOver && !gameState.finished) {
+                spawnPiece();
+            }
+        }
+
+        /**
+         * 消去ラインより上を下に移動（rows は上から順。上の行から詰めれば、下の消去行の位置はずれない）
+         */
+        function collapseRows(rows) {
+            for (let clearY of rows) {
+                for (let y = clearY; y > 0; y--) {
+                    for (let x = 0; x < COLS; x++) {
+                        gameState.board[y * COLS + x] = gameState.board[(y-1) * COLS + x];
+                    }
+                }
+                // 最上段をクリア
+                for (let x = 0; x < COLS; x++) {
+                    gameState.board[x] = 0;
+                }
+            }
+        }
+
+        /**
+         * スコア計算
+         */
+        function calculateScore(linesCleared, spin, perfectClear) {
+            let baseScore = 0;
+            let isSpecial = false;
+
+            if (spin && spin.type === 'T') {
+                if (spin.mini) {
+                    baseScore = linesCleared === 1 ? SCORES.TSPIN_MINI : SCORES.TSPIN_MINI_DOUBLE;
+                } else {
+                    baseScore = linesCleared === 1 ? SCORES.TSPIN_SINGLE :
+                               linesCleared === 2 ? SCORES.TSPIN_DOUBLE :
+                               SCORES.TSPIN_TRIPLE;
+                }
+                isSpecial = true;
+            } else {
+                baseScore = linesCleared === 1 ? SCORES.SINGLE :
+                           linesCleared === 2 ? SCORES.DOUBLE :
+                           linesCleared === 3 ? SCORES.TRIPLE :
+                           SCORES.TETRIS;
+                // T以外のスピンは得点は通常どおりでB2Bの対象
+                isSpecial = linesCleared === 4 || spin !== null;
+            }
+
+            // Back-to-Back判定
+            if (isSpecial && gameState.lastWasSpecial) {
+                baseScore = Math.floor(baseScore * SCORES.B2B_MULTIPLIER);
+                gameState.b2b = true;
+                gameState.stats.b2bChain++;
+            } else {
+                gameState.b2b = false;
+                gameState.stats.b2bChain = 0;
+            }
+
+            gameState.lastWasSpecial = isSpecial;
+
+            // パーフェクトクリア（B2B倍率・コンボとは別に加算）
+            if (perfectClear) {
+                gameState.perfectClears++;
+                baseScore += gameState.b2b && linesCleared === 4
+                    ? SCORES.PERFECT_CLEAR_B2B_TETRIS
+                    : SCORES.PERFECT_CLEAR[linesCleared];
+            }
+
+            // コンボ
+            gameState.combo++;
+            const comboBonus = gameState.combo > 0 ? SCORES.COMBO_BONUS * gameState.combo : 0;
+
+            // レベルボーナス
+            const levelMultiplier = gameState.level;
+
+            gameState.score += (baseScore + comboBonus) * levelMultiplier;
+        }
+
+        /**
+         * 消去・スピンを統計に加える
+         */
+        function recordClearStats(clear) {
+            const stats = gameState.stats;
+            stats.clears[getClearType(clear)]++;
+            stats.attack += clear.attack;
+            stats.maxCombo = Math.max(stats.maxCombo, clear.combo);
+            stats.maxB2bChain = Math.max(stats.maxB2bChain, stats.b2bChain);
+        }
+
+        /**
+         * ラインを消さなかったスピンの得点（コンボは途切れ、B2Bは続きも途切れもしない）
+         */
+        function scoreZeroLineSpin(spin) {
+            if (spin.type !== 'T') return;
+            const baseScore = spin.mini ? SCORES.TSPIN_MINI_ZERO : SCORES.TSPIN_ZERO;
+            gameState.score += baseScore * gameState.level;
+        }
+
+        /**
+         * 入力更新
+         */
+        function updateInput(dt) {
+            // 左右移動DAS/ARR
+            if (input.leftPressed) {
+                input.leftTime = updateShift(-1, input.leftTime + dt);
+            }
+
+            if (input.rightPressed) {
+                input.rightTime = updateShift(1, input.rightTime + dt);
+            }
+
+            // ソフトドロップ
+            if (input.downPressed) {
+                if (handling.sdf >= SDF_INSTANT) {
+                    while (softDropPiece()) {
+                        gameState.score += SCORES.SOFT_DROP;
+                    }
+                    return;
+                }
+                input.downTime += dt;
+                if (input.downTime >= getSoftDropInterval()) {
+                    if (softDropPiece()) {
+                        gameState.score += SCORES.SOFT_DROP;
+                    }
+                    input.downTime = 0;
+                }
+            }
+        }
+
+        /**
+         * 押し続けている横移動（DAS経過後にARR間隔で移動。ARR 0 は壁まで）
+         * @returns {number} 更新後の押下時間
+         */
+        function updateShift(dx, heldTime) {
+            if (heldTime < handling.das) return heldTime;
+
+            if (handling.arr === 0) {
+                while (movePiece(dx));
+                return handling.das;
+            }
+            const moves = Math.floor((heldTime - handling.das) / handling.arr);
+            if (moves === 0) return heldTime;
+            for (let i = 0; i < moves && movePiece(dx); i++);
+            return handling.das;
+        }
+
+        /**
+         * ソフトドロップの間隔（SDFが大きいほど短い）
+         */
+        function getSoftDropInterval() {
+            return SOFT_DROP_INTERVAL * DEFAULT_HANDLING.sdf / handling.sdf;
+        }
+
+        /**
+         * 重力更新（1段の時間がtickより短ければ1tickで複数段落とす）
+         */
+        function updateGravity(dt) {
+            if (!gameState.currentPiece || !rules.gravity) return;
+
+            const interval = GRAVITY_FRAME_MS / getGravity(gameState.gravityCurve, gameState.level);
+            const dropSpeed = input.downPressed ? interval / handling.sdf : interval;
+
+            gameState.dropTimer += dt;
+
+            while (gameState.dropTimer >= dropSpeed) {
+                if (!softDropPiece()) {
+                    // 接地（接地している間は落下の時間をためない）
+                    if (!gameState.isLocked) {
+                        gameState.isLocked = true;
+                        gameState.lockTimer = 0;
+                    }
+                    gameState.dropTimer = 0;
+                    return;
+                }
+                gameState.dropTimer -= dropSpeed;
+            }
+        }
+
+        /**
+         * 20G: 操作中のピースをその場で落としきる（出現・移動・回転のたび。重力なしでは何もしない）
+         */
+        function applyMaxGravity() {
+            if (!rules.gravity) return;
+            if (getGravity(gameState.gravityCurve, gameState.level) < MAX_GRAVITY) return;
+            while (softDropPiece());
+        }
+
+        /**
+         * ロックタイマー更新
+         */
+        function updateLockTimer(dt) {
+            if (!gameState.isLocked) return;
+
+            gameState.lockTimer += dt;
+            if (gameState.lockTimer >= rules.lockDelay) {
+                lockPiece();
+            }
+        }
+
+        /**
+         * ソフトドロップ
+         */
+        function softDropPiece() {
+            if (!gameState.currentPiece) return false;
+
+            const newY = gameState.currentPiece.y + 1;
+            if (canPlace(gameState.currentPiece.x, newY, gameState.currentPiece.rotation)) {
+                gameState.currentPiece.y = newY;
+                gameState.currentPiece.rotated = false;
+                return true;
+            }
+            return false;
+        }
+
+        /**
+         * ポーズ切り替え
+         */
+        function togglePause() {
+            if (gameState.gameOver) return;
+
+            gameState.paused = !gameState.paused;
+            emit('pause', { paused: gameState.paused });
+        }
+
+        /**
+         * ゴースト位置計算
+         */
+        function getGhostPosition() {
+            if (!gameState.currentPiece) return null;
+
+            const piece = gameState.currentPiece;
+            let ghostY = piece.y;
+
+            while (canPlace(piece.x, ghostY + 1, piece.rotation)) {
+                ghostY++;
+            }
+
+            return { x: piece.x, y: ghostY, rotation: piece.rotation };
+        }
+
+        /**
+         * 状態の書き出し（JSON化可能。restoreSnapshot で同じ状態から続けられる）
+         * ルール・操作感は含まないため、復元先は同じ options で作ったゲームにすること
+         */
+        function getSnapshot() {
+            const state = Object.assign({}, gameState, { board: Array.from(gameState.board) });
+            return JSON.parse(JSON.stringify({
+                state,
+                randomizer: randomizer.getState(),
+                garbageRng: garbageRng.getState(),
+                garbageHole,
+                garbageQueue,
+                finesseRng: finesseRng.getState(),
+                presetPieces
+            }));
+        }
+
+        /**
+         * getSnapshot の状態に戻す（押していた操作はすべて離した扱い）
+         * 書き出しにない項目は reset 直後の値のまま
+         */
+        function restoreSnapshot(snapshot) {
+            const state = JSON.parse(JSON.stringify(snapshot.state));
+            gameState.board.set(state.board);
+            pendingClears.length = 0;
+            pendingClears.push(...(state.lineClears || []));
+            // 盤面・消去演出の配列は参照を保ったまま中身だけ入れ替える
+            delete state.board;
+            delete state.lineClears;
+            Object.assign(gameState, state);
+
+            randomizer.setState(snapshot.randomizer);
+            garbageRng.setState(snapshot.garbageRng);
+            garbageHole = snapshot.garbageHole;
+            garbageQueue.length = 0;
+            garbageQueue.push(...snapshot.garbageQueue);
+            if (snapshot.finesseRng != null) finesseRng.setState(snapshot.finesseRng);
+            presetPieces = (snapshot.presetPieces || []).slice();
+
+            input.leftTime = 0;
+            input.rightTime = 0;
+            input.downTime = 0;
+            input.leftPressed = false;
+            input.rightPressed = false;
+            input.downPressed = false;
+            emit('restore');
+        }
+
+        /**
+         * NEXTを指定した並びに差し替え（練習用。使い切ったら生成器の続きから出す。リプレイには記録されない）
+         */
+        function setQueue(queue) {
+            presetPieces = queue.filter(type => TETROMINOS[type]);
+            gameState.nextPieces = [];
+            fillNextPieces();
+        }
+
+        /**
+         * 状態取得（読み取り専用として扱うこと）
+         */
+        function getState() {
+            return gameState;
+        }
+
+        /**
+         * 適用中のルール（モードの既定値に options.rules を重ねたもの。読み取り専用として扱うこと）
+         */
+        function getRules() {
+            return rules;
+        }
+
+        reset(options);
+
+        return {
+            on,
+            reset,
+            apply,
+            tick,
+            step,
+            addGarbage,
+            getState,
+            getRules,
+            getGhostPosition,
+            getSnapshot,
+            restoreSnapshot,
+            setQueue
+        };
+    }
+
+    return {
+        COLS,
+        ROWS,
+        TICKS_PER_SECOND,
+        TICK_MS,
+        DEFAULT_HANDLING,
+        SDF_INSTANT,
+        SCORES,
+        ATTACK_TABLE,
+        TETROMINOS,
+        PIECE_TYPES,
+        GARBAGE,
+        ACTIONS,
+        ROTATION_SYSTEMS,
+        DEFAULT_ROTATION_SYSTEM,
+        SPIN_RULES,
+        DEFAULT_SPIN_RULE,
+        GRAVITY_CURVES,
+        DEFAULT_GRAVITY_CURVE,
+        MAX_GRAVITY,
+        MAX_START_LEVEL,
+        CLEAR_TYPES,
+        getRotatedMatrix,
+        isValidPosition,
+        tryRotate,
+        getSpawnPosition,
+        detectSpin,
+        findFinesse,
+        evaluateFinesse,
+        getClearType,
+        getGravity,
+        getColorIndex,
+        getPieceColor,
+        computeAttack,
+        createGame
+    };
+});
@@ -0,0 +1,154 @@
+/**
+ * テトリス - ゲームパッド入力
+ * Gamepad API をフレームごとに読み取り、ボタン・スティックの押下/解放を操作として通知する
+ * 押しっぱなしの判定（DAS/ARR）はキーボードと同じくエンジン側で行う
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'));
+    } else {
+        root.TetrisGamepad = factory(root.TetrisEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Engine) {
+    'use strict';
+
+    const { ACTIONS } = Engine;
+
+    // Standard Gamepad のボタン名（設定画面の表示用）
+    const BUTTON_NAMES = [
+        'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT',
+        'Back', 'Start', 'LS', 'RS', '↑', '↓', '←', '→', 'Home'
+    ];
+
+    // アナログスティック・トリガーを押下とみなすしきい値
+    const AXIS_THRESHOLD = 0.5;
+    const BUTTON_THRESHOLD = 0.5;
+
+    // 左スティックは十字キーと同じ移動・ソフトドロップ（割り当て変更なし）
+    const STICK_ACTIONS = {
+        left: ACTIONS.MOVE_LEFT,
+        right: ACTIONS.MOVE_RIGHT,
+        down: ACTIONS.SOFT_DROP
+    };
+
+    /**
+     * ボタン番号の表示名
+     */
+    function getButtonName(button) {
+        return BUTTON_NAMES[button] || `B${button}`;
+    }
+
+    /**
+     * 押されているボタン番号の一覧
+     */
+    function readButtons(pad) {
+        const pressed = [];
+        pad.buttons.forEach((button, index) => {
+            if (button.pressed || button.value > BUTTON_THRESHOLD) pressed.push(index);
+        });
+        return pressed;
+    }
+
+    /**
+     * 左スティックの傾きを操作に変換
+     */
+    function readStick(pad) {
+        const actions = [];
+        const x = pad.axes[0] || 0;
+        const y = pad.axes[1] || 0;
+        if (x <= -AXIS_THRESHOLD) actions.push(STICK_ACTIONS.left);
+        if (x >= AXIS_THRESHOLD) actions.push(STICK_ACTIONS.right);
+        if (y >= AXIS_THRESHOLD) actions.push(STICK_ACTIONS.down);
+        return actions;
+    }
+
+    /**
+     * ゲームパッド入力を作成
+     * 接続中のパッドは接続順に slot 0, 1, ... として扱う（対戦では 1P, 2P）
+     * @param {{getGamepads?: Function, onAction?: Function, onButton?: Function, onConnect?: Function, onDisconnect?: Function}} [options]
+     *   onAction(slot, action, pressed): 割り当てた操作の押下/解放
+     *   onButton(slot, button): ボタンの押下（割り当てに関係なく。設定画面の割り当て用）
+     *   onConnect(pad) / onDisconnect(pad): 抜き差し（pad は {index, id, slot}）
+     * @returns {{poll: Function, getConnected: Function}}
+     */
+    function createGamepadInput(options = {}) {
+        const getGamepads = options.getGamepads || (() => navigator.getGamepads());
+        const noop = () => {};
+        const onAction = options.onAction || noop;
+        const onButton = options.onButton || noop;
+        const onConnect = options.onConnect || noop;
+        const onDisconnect = options.onDisconnect || noop;
+
+        // パッドのindex → { id, slot, buttons: Set, actions: Set }
+        const pads = new Map();
+
+        /**
+         * 全パッドを読み取り、前回との差分を通知
+         * @param {object} buttonMap ボタン番号 → 操作
+         */
+        function poll(buttonMap) {
+            const connected = Array.from(getGamepads() || []).filter(pad => pad && pad.connected !== false);
+            const indices = connected.map(pad => pad.index);
+
+            for (const [index, state] of Array.from(pads)) {
+                if (!indices.includes(index)) {
+                    release(state);
+                    pads.delete(index);
+                    onDisconnect({ index, id: state.id, slot: state.slot });
+                }
+            }
+
+            connected.forEach((pad, slot) => {
+                let state = pads.get(pad.index);
+                if (!state) {
+                    state = { id: pad.id, slot, buttons: new Set(), actions: new Set() };
+                    pads.set(pad.index, state);
+                    onConnect({ index: pad.index, id: pad.id, slot });
+                }
+                if (state.slot !== slot) {
+                    // 前のパッドが抜けて繰り上がった場合は押下状態を持ち越さない
+                    release(state);
+                    state.slot = slot;
+                }
+
+                const buttons = readButtons(pad);
+                const actions = new Set(readStick(pad));
+                for (const button of buttons) {
+                    if (!state.buttons.has(button)) onButton(slot, button);
+                    if (buttonMap[button]) actions.add(buttonMap[button]);
+                }
+                state.buttons = new Set(buttons);
+
+                for (const action of state.actions) {
+                    if (!actions.has(action)) onAction(slot, action, false);
+                }
+                for (const action of actions) {
+                    if (!state.actions.has(action)) onAction(slot, action, true);
+                }
+                state.actions = actions;
+            });
+        }
+
+        function release(state) {
+            for (const action of state.actions) {
+                onAction(state.slot, action, false);
+            }
+            state.actions = new Set();
+        }
+
+        function getConnected() {
+            return Array.from(pads, ([index, state]) => ({ index, id: state.id, slot: state.slot }));
+        }
+
+        return { poll, getConnected };
+    }
+
+    return {
+        BUTTON_NAMES,
+        AXIS_THRESHOLD,
+        STICK_ACTIONS,
+        getButtonName,
+        createGamepadInput
+    };
+});
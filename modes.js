@@ -0,0 +1,213 @@
+/**
+ * テトリス - ゲームモード定義
+ * エンジンが参照するルール（目標ライン数・カウントダウン等）と表示名
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TetrisModes = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    // ルールの既定値（エンドレスのマラソン）
+    const DEFAULT_RULES = {
+        lineGoal: 0,        // 0 = 目標なし。到達でクリア
+        timeLimit: 0,       // 0 = 制限なし。経過で終了（ms）
+        countdown: 0,       // 開始前のカウントダウン（ms）
+        splitInterval: 0,   // 何ラインごとにスプリットを記録するか
+        leveling: true,     // ライン数でレベルを上げるか
+        lockDelay: 500,     // 接地してから固定されるまでの時間（ms）
+        garbageGoal: 0,     // 掘りモード: 消すゴミライン数（0 = なし）。到達でクリア
+        garbageRows: 0,     // 掘りモード: 盤面に保つゴミラインの段数
+        garbageMessiness: 0, // 掘りモード: 段ごとに穴位置が変わる確率（0 = 一直線, 1 = 毎段変化）
+        randomizer: null,   // ピース生成器の固定（null = 選択どおり）
+        pcPractice: false,  // PC練習: パーフェクトクリアか失敗ごとに盤面を空にし、新しいバッグから配り直す
+        finesseTraining: false, // フィネス練習: 空の盤面で目標の位置に置く。操作が最短でなければ同じピースをやり直す
+        puzzleGoal: null,   // 問題の条件 { lines, clear, perfectClear, pieces }（null = なし）。達成でクリア、置ける数を使い切ると失敗
+        guide: null,        // ガイド: 置く位置の一覧 [{ type, cells }]（null = なし）。すべて置けばクリア、違う位置に置くと失敗
+        gravity: true,      // 自然落下（false = 落ちず、ハードドロップでだけ固定する）
+        infiniteHold: false // 1つのピースで何度でもホールドできる
+    };
+
+    // 掘りモード共通のルール
+    const DIG_RULES = {
+        countdown: 3000,
+        leveling: false,
+        garbageRows: 10,
+        garbageMessiness: 0.3
+    };
+
+    // モード一覧
+    // rank: 記録の比較方法（score = 高いほど良い, time = 短いほど良い, null = 記録なし）
+    // players: 2 なら対戦モード（online: 中継サーバー経由, cpu: 2PをAIが操作）
+    // finishTitle: 目標達成・時間切れ時の結果画面の見出し
+    // editor: 開始前に盤面エディタで局面を作る
+    // practice: 設置ごとのアンドゥ・リドゥ、最初からやり直し、NEXTの編集ができる
+    // opener: 開幕の手順集から選んだ形を、置き場所のガイドに沿って組む
+    const MODES = {
+        marathon: {
+            name: 'MARATHON',
+            description: 'エンドレス',
+            rank: 'score',
+            rules: {}
+        },
+        sprint: {
+            name: '40 LINES',
+            description: '40ライン消去のタイムアタック',
+            rank: 'time',
+            finishTitle: 'FINISH',
+            rules: {
+                lineGoal: 40,
+                countdown: 3000,
+                splitInterval: 10,
+                leveling: false
+            }
+        },
+        ultra: {
+            name: 'ULTRA',
+            description: '2分間のスコアアタック',
+            rank: 'score',
+            finishTitle: 'TIME UP',
+            rules: {
+                timeLimit: 120000,
+                countdown: 3000,
+                leveling: false
+            }
+        },
+        marathon150: {
+            name: 'MARATHON 150',
+            description: '150ライン（レベル15）でクリア',
+            rank: 'score',
+            finishTitle: 'CLEAR!',
+            rules: {
+                lineGoal: 150
+            }
+        },
+        versus: {
+            name: 'VERSUS',
+            description: '1台のキーボードで2人対戦',
+            rank: null,
+            players: 2,
+            rules: {
+                countdown: 3000,
+                leveling: false
+            }
+        },
+        cpu: {
+            name: 'VS CPU',
+            description: 'AIと対戦',
+            rank: null,
+            players: 2,
+            cpu: true,
+            rules: {
+                countdown: 3000,
+                leveling: false
+            }
+        },
+        online: {
+            name: 'ONLINE VERSUS',
+            description: '中継サーバー経由でネット対戦',
+            rank: null,
+            players: 2,
+            online: true,
+            rules: {
+                countdown: 3000,
+                leveling: false
+            }
+        },
+        pc: {
+            name: 'PC PRACTICE',
+            description: '4ラインのパーフェクトクリアを練習',
+            rank: null,
+            rules: {
+                leveling: false,
+                randomizer: 'bag7',
+                pcPractice: true
+            }
+        },
+        finesse: {
+            name: 'FINESSE',
+            description: '目標の位置に最短の操作で置く練習',
+            rank: null,
+            rules: {
+                leveling: false,
+                finesseTraining: true
+            }
+        },
+        practice: {
+            name: 'PRACTICE',
+            description: '落下なし・ホールド無制限。1手戻す・NEXT編集で開幕を練習',
+            rank: null,
+            practice: true,
+            rules: {
+                leveling: false,
+                gravity: false,
+                infiniteHold: true
+            }
+        },
+        opener: {
+            name: 'OPENER',
+            description: 'TKI・DT砲・PCOなど定番の開幕をガイドどおりに組む',
+            rank: null,
+            opener: true,
+            finishTitle: 'COMPLETE!',
+            rules: {
+                leveling: false
+            }
+        },
+        puzzle: {
+            name: 'PUZZLE',
+            description: '盤面を編集して遊ぶ・問題を解く',
+            rank: null,
+            editor: true,
+            finishTitle: 'SOLVED!',
+            rules: {
+                leveling: false
+            }
+        },
+        dig10: {
+            name: 'DIG 10',
+            description: 'ゴミライン10段を掘り切るタイムアタック',
+            rank: 'time',
+            finishTitle: 'FINISH',
+            rules: Object.assign({ garbageGoal: 10 }, DIG_RULES)
+        },
+        dig100: {
+            name: 'DIG 100',
+            description: '補充されるゴミライン100段を掘るタイムアタック',
+            rank: 'time',
+            finishTitle: 'FINISH',
+            rules: Object.assign({ garbageGoal: 100 }, DIG_RULES)
+        }
+    };
+
+    const DEFAULT_MODE = 'marathon';
+
+    /**
+     * モード取得（不明な名前は例外）
+     */
+    function getMode(name) {
+        const mode = MODES[name || DEFAULT_MODE];
+        if (!mode) {
+            throw new Error(`Unknown mode: ${name}`);
+        }
+        return mode;
+    }
+
+    /**
+     * モードのルール（既定値で補完済み）
+     */
+    function getRules(name) {
+        return Object.assign({}, DEFAULT_RULES, getMode(name).rules);
+    }
+
+    return {
+        MODES,
+        DEFAULT_MODE,
+        getMode,
+        getRules
+    };
+});
@@ -0,0 +1,366 @@
+/**
+ * テトリス - オンライン対戦クライアント
+ * 中継サーバー（relay-server.js）経由で相手とつなぐ。自分のゲームだけを実時間で進め、
+ * 操作とせり上がりをtick付きで送る。相手の盤面は受け取った操作を同じシードのゲームで
+ * 再実行して表示する（通信の遅れ分だけ遅れて追従する）
+ * ローカル対戦（TetrisVersus.createMatch）と同じ形のオブジェクトを返す
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'), require('./randomizer.js'), require('./replay.js'), require('./versus.js'));
+    } else {
+        root.TetrisNet = factory(root.TetrisEngine, root.TetrisRandomizer, root.TetrisReplay, root.TetrisVersus);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Engine, Randomizer, Replay, Versus) {
+    'use strict';
+
+    const { COLS, ACTIONS } = Engine;
+
+    // 何tickごとに操作をまとめて送るか
+    const SYNC_INTERVAL = 6;
+
+    const CODE_ACTIONS = {};
+    for (const [action, code] of Object.entries(Replay.ACTION_CODES)) {
+        CODE_ACTIONS[code] = action;
+    }
+
+    // 接続状態
+    const STATUS = {
+        CONNECTING: 'connecting',
+        WAITING: 'waiting',
+        PLAYING: 'playing',
+        ENDED: 'ended',
+        CLOSED: 'closed'
+    };
+
+    /**
+     * オンライン対戦を作成（すぐに接続して部屋に入る）
+     * @param {{url: string, room: string, randomizer?: string, rotationSystem?: string, spinRule?: string, gravityCurve?: string, handling?: object, createSocket?: Function}} options
+     *   handling: 自分の DAS/ARR/SDF（相手にも送り、相手側の再実行に使う）
+     *   createSocket: URLからWebSocket互換オブジェクトを作る関数（既定はブラウザの WebSocket）
+     * @returns {{online: boolean, players: Array, on: Function, apply: Function, tick: Function, togglePause: Function, getPending: Function, getWinner: Function, isOver: Function, getStatus: Function, getRoom: Function, requestRematch: Function, close: Function}}
+     */
+    function createOnlineMatch(options) {
+        const createSocket = options.createSocket || (url => new WebSocket(url));
+        const socket = createSocket(options.url);
+        const listeners = {};
+        const players = [];
+
+        let status = STATUS.CONNECTING;
+        let index = -1;
+        let winner = -1;
+        // 自分側: 経過tick・未送信の操作とせり上がり
+        let ticks = 0;
+        let outbox = { inputs: [], garbage: [] };
+        let attackRng = null;
+        // 相手側: 再実行済みのtick・未処理の操作・設置回数ごとのせり上がり
+        let remoteTicks = 0;
+        let remoteInputs = [];
+        let remoteGarbage = new Map();
+        let remotePending = 0;
+
+        socket.onopen = () => {
+            send({
+                type: 'join',
+                room: options.room,
+                randomizer: options.randomizer,
+                rotationSystem: options.rotationSystem,
+                spinRule: options.spinRule,
+                gravityCurve: options.gravityCurve,
+                handling: options.handling
+            });
+        };
+        socket.onmessage = ({ data }) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (e) {
+                return;
+            }
+            handleMessage(message);
+        };
+        socket.onclose = () => {
+            if (status === STATUS.PLAYING) {
+                finish(0, true);
+            }
+            setStatus(STATUS.CLOSED);
+        };
+
+        function on(type, handler) {
+            (listeners[type] = listeners[type] || []).push(handler);
+            return () => {
+                listeners[type] = listeners[type].filter(h => h !== handler);
+            };
+        }
+
+        function emit(type, payload) {
+            (listeners[type] || []).forEach(handler => handler(payload));
+        }
+
+        function send(message) {
+            if (socket.readyState === 1) {
+                socket.send(JSON.stringify(message));
+            }
+        }
+
+        function setStatus(next) {
+            status = next;
+            emit('status', { status });
+        }
+
+        /**
+         * サーバーからのメッセージ
+         */
+        function handleMessage(message) {
+            switch (message.type) {
+                case 'joined':
+                    index = message.index;
+                    setStatus(STATUS.WAITING);
+                    break;
+                case 'start':
+                    index = message.index;
+                    startGames(message);
+                    break;
+                case 'sync':
+                    receiveSync(message);
+                    break;
+                case 'attack':
+                    if (status !== STATUS.PLAYING) return;
+                    players[0].pending.push(message.lines, message.hole);
+                    players[1].sent += message.lines;
+                    break;
+                case 'end':
+                    finish(message.winner === index ? 0 : 1, false);
+                    break;
+                case 'rematch':
+                    emit('rematch');
+                    break;
+                case 'left':
+                    index = message.index;
+                    if (status === STATUS.PLAYING) {
+                        finish(0, true);
+                    }
+                    setStatus(STATUS.WAITING);
+                    break;
+                case 'error':
+                    emit('error', { message: message.message });
+                    break;
+            }
+        }
+
+        /**
+         * 自分と相手（再実行用）のゲームを同じシードで作り直す
+         * 操作感（handling）はそれぞれのプレイヤーの設定（[自分, 相手] の順に並べ替え）
+         */
+        function startGames({ seed, randomizer, rotationSystem, spinRule, gravityCurve, handling = [] }) {
+            const gameOptions = { seed, mode: Versus.MODE };
+            if (randomizer) gameOptions.randomizer = randomizer;
+            if (rotationSystem) gameOptions.rotationSystem = rotationSystem;
+            if (spinRule) gameOptions.spinRule = spinRule;
+            if (gravityCurve) gameOptions.gravityCurve = gravityCurve;
+            const playerHandling = [handling[index], handling[1 - index]];
+            attackRng = Randomizer.createRng(Randomizer.hashSeed(`${seed}:versus:${index}`));
+            ticks = 0;
+            outbox = { inputs: [], garbage: [] };
+            remoteTicks = 0;
+            remoteInputs = [];
+            remoteGarbage = new Map();
+            remotePending = 0;
+            winner = -1;
+
+            players.length = 0;
+            for (let i = 0; i < Versus.PLAYERS; i++) {
+                players.push({
+                    game: Engine.createGame(Object.assign({}, gameOptions, { handling: playerHandling[i] || undefined })),
+                    pending: Versus.createPendingGarbage(),
+                    sent: 0,
+                    received: 0
+                });
+            }
+            bindLocal(players[0]);
+            bindRemote(players[1]);
+
+            setStatus(STATUS.PLAYING);
+            emit('start', { seed, index });
+        }
+
+        /**
+         * 自分のゲーム: 攻撃を送り、受けたせり上がりを設置回数とともに記録
+         */
+        function bindLocal(player) {
+            const game = player.game;
+            let locks = 0;
+            let clearedOnLock = false;
+
+            game.on('lineClear', ({ attack }) => {
+                clearedOnLock = true;
+                const remaining = player.pending.cancel(attack);
+                if (remaining > 0) {
+                    player.sent += remaining;
+                    send({ type: 'attack', lines: remaining, hole: attackRng.int(COLS) });
+                }
+            });
+            game.on('lock', () => {
+                locks++;
+                if (!clearedOnLock) {
+                    for (const { lines, hole } of player.pending.receive(game)) {
+                        player.received += lines;
+                        outbox.garbage.push([locks, lines, hole]);
+                    }
+                }
+                clearedOnLock = false;
+            });
+            game.on('gameOver', () => {
+                flush();
+                send({ type: 'gameOver' });
+            });
+        }
+
+        /**
+         * 相手のゲーム: 記録された設置回数でせり上げ、相手と同じ盤面を再現
+         */
+        function bindRemote(player) {
+            const game = player.game;
+            let locks = 0;
+            game.on('lock', () => {
+                locks++;
+                const entries = remoteGarbage.get(locks);
+                if (!entries) return;
+                remoteGarbage.delete(locks);
+                for (const [lines, hole] of entries) {
+                    player.received += lines;
+                    game.addGarbage(lines, hole);
+                }
+            });
+        }
+
+        /**
+         * 相手の操作を受け取り、届いたtickまで再実行
+         */
+        function receiveSync(message) {
+            if (status !== STATUS.PLAYING) return;
+            for (const [tick, code] of message.inputs) {
+                const action = CODE_ACTIONS[code.toUpperCase()];
+                if (action) remoteInputs.push([tick, action, code === code.toUpperCase()]);
+            }
+            for (const [lock, lines, hole] of message.garbage) {
+                if (!remoteGarbage.has(lock)) remoteGarbage.set(lock, []);
+                remoteGarbage.get(lock).push([lines, hole]);
+            }
+            remotePending = message.pending;
+
+            const game = players[1].game;
+            applyRemoteInputs(game);
+            while (remoteTicks < message.tick) {
+                game.tick();
+                remoteTicks++;
+                // 届いたtickの直後の操作（トップアウトした設置など）もここで反映
+                applyRemoteInputs(game);
+            }
+        }
+
+        /**
+         * 再実行済みのtickまでに押された相手の操作を反映
+         */
+        function applyRemoteInputs(game) {
+            while (remoteInputs.length > 0 && remoteInputs[0][0] <= remoteTicks) {
+                const [, action, pressed] = remoteInputs.shift();
+                game.apply(action, pressed);
+            }
+        }
+
+        /**
+         * 溜まった操作・せり上がりを送信
+         */
+        function flush() {
+            send({
+                type: 'sync',
+                tick: ticks,
+                inputs: outbox.inputs,
+                garbage: outbox.garbage,
+                pending: players[0].pending.total()
+            });
+            outbox = { inputs: [], garbage: [] };
+        }
+
+        /**
+         * 決着（winner: 0 = 自分, 1 = 相手）
+         */
+        function finish(result, disconnected) {
+            if (status !== STATUS.PLAYING) return;
+            winner = result;
+            setStatus(STATUS.ENDED);
+            emit('end', { winner, disconnected });
+        }
+
+        /**
+         * 自分の操作（ポーズは相手を止められないため無効）
+         */
+        function apply(playerIndex, action, pressed = true) {
+            if (status !== STATUS.PLAYING || playerIndex !== 0 || action === ACTIONS.PAUSE) return;
+            const code = Replay.ACTION_CODES[action];
+            if (!code) return;
+            outbox.inputs.push([ticks, pressed ? code : code.toLowerCase()]);
+            players[0].game.apply(action, pressed);
+        }
+
+        /**
+         * 自分のゲームを1tick進める（相手側は受信時に進む）
+         */
+        function tick() {
+            if (status !== STATUS.PLAYING) return;
+            const game = players[0].game;
+            if (game.getState().gameOver) return;
+            game.tick();
+            ticks++;
+            if (ticks % SYNC_INTERVAL === 0) {
+                flush();
+            }
+        }
+
+        function getPending(playerIndex) {
+            if (playerIndex === 0) {
+                return players.length ? players[0].pending.total() : 0;
+            }
+            return remotePending;
+        }
+
+        /**
+         * 決着後の再戦希望（相手も希望したら新しいシードで開始）
+         */
+        function requestRematch() {
+            if (status !== STATUS.ENDED) return;
+            send({ type: 'rematch' });
+        }
+
+        function close() {
+            socket.onclose = null;
+            socket.onmessage = null;
+            socket.close();
+            status = STATUS.CLOSED;
+        }
+
+        return {
+            online: true,
+            players,
+            on,
+            apply,
+            tick,
+            togglePause() {},
+            getPending,
+            getWinner: () => winner,
+            isOver: () => status !== STATUS.PLAYING,
+            getStatus: () => status,
+            getRoom: () => options.room,
+            requestRematch,
+            close
+        };
+    }
+
+    return {
+        STATUS,
+        SYNC_INTERVAL,
+        createOnlineMatch
+    };
+});
@@ -0,0 +1,205 @@
+/**
+ * テトリス - 開幕（定石）の手順集とガイド練習の成績
+ * 定番の開幕を1手ずつの置き場所として持ち、エンジンに渡すガイド（置く位置と出てくる順）へ変換する
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'));
+    } else {
+        root.TetrisOpeners = factory(root.TetrisEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Engine) {
+    'use strict';
+
+    const { COLS, ROWS } = Engine;
+
+    const STORAGE_KEY = 'tetrisOpenerStats';
+    // 開幕ごとに残す挑戦の数
+    const HISTORY_SIZE = 100;
+    // 直近の成功率に使う挑戦の数
+    const RECENT_COUNT = 10;
+
+    // 開幕の一覧（バッグ順で組める並びの一例）
+    // order: 置く順の記号、queue: その手で出てくるピース
+    // field: 組み終えた形（最後の行が盤面の一番下。記号ごとに1手。途中で消えるラインも消さずに描く）
+    const OPENERS = [
+        {
+            id: 'tki',
+            name: 'TKI',
+            description: '1巡目で左にTSDの形を作り、2巡目のTで撃つ',
+            order: 'LSJZOITt',
+            queue: 'LSJZOITT',
+            field: [
+                'S.........',
+                'SS....OO..',
+                'LS...TOOZJ',
+                'LtttTTTZZJ',
+                'LLtIIIIZJJ'
+            ]
+        },
+        {
+            id: 'dt',
+            name: 'DT CANNON',
+            description: 'TSDのあとに残した屋根の下へTSTを撃つ（ダブル→トリプル）',
+            order: 'LSJZOITtjizolsx',
+            queue: 'LSJZOITTJIZOLST',
+            field: [
+                '.......z..',
+                '.jj...zz..',
+                '.j....zlll',
+                'Sjxiiiiloo',
+                'SSxxssOOoo',
+                'LSxssTOOZJ',
+                'LtttTTTZZJ',
+                'LLtIIIIZJJ'
+            ]
+        },
+        {
+            id: 'pco',
+            name: 'PCO',
+            description: '4段をすき間なく埋めて10手でパーフェクトクリア',
+            order: 'LSJZIOTotj',
+            queue: 'LSJZIOTOTJ',
+            field: [
+                'IIIIootjjj',
+                'ZZLLoottSj',
+                'JZZLOOtTSS',
+                'JJJLOOTTTS'
+            ]
+        },
+        {
+            id: 'stsd',
+            name: 'STSD',
+            description: '屋根の下に入れたTを縦に2段落とすスーパーTSD',
+            order: 'JSZLOITizjt',
+            queue: 'JSZLOITIZJT',
+            field: [
+                'iOO.......',
+                'iOO.z.....',
+                'iLLzz.....',
+                'iZLz......',
+                'ZZLJtTTT..',
+                'ZSSJttTjjj',
+                'SSJJtIIIIj'
+            ]
+        }
+    ];
+
+    /**
+     * 開幕の取得（不明なidは最初の開幕）
+     */
+    function getOpener(id) {
+        return OPENERS.find(opener => opener.id === id) || OPENERS[0];
+    }
+
+    /**
+     * 1手ずつの置き場所（置く順。cells は盤面のインデックスの昇順で、ラインが消えなかったときの位置）
+     * @returns {{type: string, cells: number[]}[]}
+     */
+    function getSteps(opener) {
+        const top = ROWS - opener.field.length;
+        return opener.order.split('').map((symbol, i) => {
+            const cells = [];
+            opener.field.forEach((row, y) => {
+                for (let x = 0; x < COLS; x++) {
+                    if (row[x] === symbol) cells.push((top + y) * COLS + x);
+                }
+            });
+            return { type: opener.queue[i], cells };
+        });
+    }
+
+    /**
+     * ガイドの手順から開幕を探す（中断したゲームの再開用。見つからなければnull）
+     */
+    function findOpener(guide) {
+        const key = JSON.stringify(guide);
+        return OPENERS.find(opener => JSON.stringify(getSteps(opener)) === key) || null;
+    }
+
+    /**
+     * エンジンに渡す出てくる順とガイドのルール（ゲームの options に重ねる）
+     */
+    function toGameOptions(opener) {
+        return {
+            position: {
+                queue: opener.queue.split('')
+            },
+            rules: {
+                guide: getSteps(opener)
+            }
+        };
+    }
+
+    /**
+     * 挑戦の一覧の成功率（通算と直近）
+     * @param {{date: string, success: boolean}[]} history 古い順
+     */
+    function summarize(history) {
+        const recent = history.slice(-RECENT_COUNT);
+        return {
+            attempts: history.length,
+            successes: history.filter(entry => entry.success).length,
+            recentAttempts: recent.length,
+            recentSuccesses: recent.filter(entry => entry.success).length
+        };
+    }
+
+    /**
+     * 開幕ごとの挑戦の記録を作成
+     * @param {Storage} storage localStorage等（getItem/setItem）
+     */
+    function createStatsStore(storage) {
+        const histories = load();
+
+        function load() {
+            try {
+                const data = JSON.parse(storage.getItem(STORAGE_KEY));
+                return data && typeof data === 'object' ? data : {};
+            } catch (e) {
+                // ストレージ使用不可・破損データの場合は空の記録から始める
+                return {};
+            }
+        }
+
+        function save() {
+            try {
+                storage.setItem(STORAGE_KEY, JSON.stringify(histories));
+            } catch (e) {
+                // ストレージ使用不可の場合は無視
+            }
+        }
+
+        /**
+         * 開幕の挑戦の一覧（古い順）
+         */
+        function getHistory(id) {
+            return Array.isArray(histories[id]) ? histories[id].slice() : [];
+        }
+
+        /**
+         * 挑戦の結果を記録（古いものから HISTORY_SIZE を超えた分を捨てる）
+         */
+        function submit(id, success) {
+            const history = getHistory(id);
+            history.push({ date: new Date().toISOString(), success: Boolean(success) });
+            histories[id] = history.slice(-HISTORY_SIZE);
+            save();
+        }
+
+        return { getHistory, submit };
+    }
+
+    return {
+        OPENERS,
+        HISTORY_SIZE,
+        RECENT_COUNT,
+        getOpener,
+        getSteps,
+        findOpener,
+        toGameOptions,
+        summarize,
+        createStatsStore
+    };
+});
@@ -0,0 +1,111 @@
+/**
+ * テトリス - 練習モードの手順（設置ごとのアンドゥ・リドゥ・最初からやり直し）
+ * 新しいピースが出るたびに、その設置を始める前の状態（盤面・NEXT・ホールド・スコア）を書き出しておき、
+ * 戻すときはその状態を復元する
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TetrisPractice = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    /**
+     * ゲームの手順の記録を開始（ゲームの reset で記録は最初から）
+     * @param {object} game エンジンのゲーム（getSnapshot/restoreSnapshot を使う）
+     * @returns {{record: Function, update: Function, undo: Function, redo: Function, retry: Function, getPosition: Function, dispose: Function}}
+     */
+    function createHistory(game) {
+        // 各設置を始める前の状態（turns[index] が今の設置）
+        const turns = [];
+        let index = -1;
+        // 最後に記録した時点の設置数（ホールドで出たピースは同じ設置の続き）
+        let placed = -1;
+
+        /**
+         * 今の状態を新しい設置の始まりとして記録（戻した先から置いたら、その先の手順は捨てる）
+         */
+        function record() {
+            turns.length = index + 1;
+            turns.push(game.getSnapshot());
+            index = turns.length - 1;
+            placed = game.getState().stats.pieces;
+        }
+
+        /**
+         * 今の設置の始まりを現在の状態で置き換え（NEXTを編集したときなど）
+         */
+        function update() {
+            if (index < 0) return;
+            turns[index] = game.getSnapshot();
+        }
+
+        function restore(target) {
+            index = target;
+            game.restoreSnapshot(turns[index]);
+            placed = game.getState().stats.pieces;
+        }
+
+        /**
+         * 1つ前の設置の始まりに戻す（戻せなければfalse）
+         */
+        function undo() {
+            if (index <= 0) return false;
+            restore(index - 1);
+            return true;
+        }
+
+        /**
+         * 戻した設置をやり直す（進められなければfalse）
+         */
+        function redo() {
+            if (index >= turns.length - 1) return false;
+            restore(index + 1);
+            return true;
+        }
+
+        /**
+         * 最初の局面に戻す（同じNEXTでやり直し。戻した手順はリドゥで進められる）
+         */
+        function retry() {
+            if (index < 0) return false;
+            restore(0);
+            return true;
+        }
+
+        /**
+         * 今の設置が何手目か（0始まり）と記録している手数
+         */
+        function getPosition() {
+            return { index, length: turns.length };
+        }
+
+        const unbind = [
+            game.on('reset', () => {
+                turns.length = 0;
+                index = -1;
+                placed = -1;
+            }),
+            game.on('spawn', () => {
+                if (game.getState().stats.pieces !== placed) record();
+            })
+        ];
+
+        return {
+            record,
+            update,
+            undo,
+            redo,
+            retry,
+            getPosition,
+            dispose: () => unbind.forEach(off => off())
+        };
+    }
+
+    return {
+        createHistory
+    };
+});
@@ -0,0 +1,169 @@
+/**
+ * テトリス - プロフィール（終了したゲームの履歴）
+ * 1ゲーム1件で IndexedDB に保存する（使えない環境ではメモリ上に保持）
+ * 名前・モード別の記録と合わせてJSONファイルに書き出し、別のブラウザで読み込める
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TetrisProfile = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const FORMAT = 'tetris-profile';
+    const VERSION = 1;
+
+    const DB_NAME = 'tetrisProfile';
+    const DB_VERSION = 1;
+    const GAMES_STORE = 'games';
+
+    /**
+     * IndexedDBの要求をPromiseに
+     */
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function openDatabase(indexedDB) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(GAMES_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        return requestToPromise(request);
+    }
+
+    /**
+     * 同じゲームかの判定用（読み込み時の重複除外）
+     */
+    function getGameKey(game) {
+        return `${game.date}:${game.mode}:${game.seed}`;
+    }
+
+    /**
+     * 保存する形へ（IndexedDBのキーは外す）
+     */
+    function toEntry(game) {
+        const entry = Object.assign({}, game);
+        delete entry.id;
+        return entry;
+    }
+
+    /**
+     * 履歴の保存先を開く（IndexedDBを開けなければメモリ上の履歴）
+     * @param {IDBFactory|null} indexedDB
+     * @returns {Promise<{persistent: boolean, add: Function, getAll: Function, importGames: Function}>}
+     *   add(game): 1件追加、getAll(): 古い順の一覧、importGames(games): 未登録の分だけ追加して件数を返す
+     */
+    function createHistoryStore(indexedDB) {
+        if (!indexedDB) return Promise.resolve(createMemoryHistory());
+        return openDatabase(indexedDB)
+            .then(createDatabaseHistory)
+            .catch(() => createMemoryHistory());
+    }
+
+    function createDatabaseHistory(db) {
+        function store(mode) {
+            return db.transaction(GAMES_STORE, mode).objectStore(GAMES_STORE);
+        }
+
+        function getAll() {
+            return requestToPromise(store('readonly').getAll())
+                .then(games => games.map(toEntry).sort((a, b) => a.date.localeCompare(b.date)));
+        }
+
+        function importGames(games) {
+            return getAll().then(existing => {
+                const keys = new Set(existing.map(getGameKey));
+                const added = games.filter(game => !keys.has(getGameKey(game)));
+                if (added.length === 0) return 0;
+
+                const transaction = db.transaction(GAMES_STORE, 'readwrite');
+                const objectStore = transaction.objectStore(GAMES_STORE);
+                added.forEach(game => objectStore.add(toEntry(game)));
+                return new Promise((resolve, reject) => {
+                    transaction.oncomplete = () => resolve(added.length);
+                    transaction.onerror = () => reject(transaction.error);
+                });
+            });
+        }
+
+        return {
+            persistent: true,
+            add: game => requestToPromise(store('readwrite').add(toEntry(game))),
+            getAll,
+            importGames
+        };
+    }
+
+    function createMemoryHistory() {
+        const games = [];
+
+        return {
+            persistent: false,
+            add(game) {
+                games.push(toEntry(game));
+                return Promise.resolve(games.length);
+            },
+            getAll() {
+                return Promise.resolve(games.slice().sort((a, b) => a.date.localeCompare(b.date)));
+            },
+            importGames(imported) {
+                const keys = new Set(games.map(getGameKey));
+                const added = imported.filter(game => !keys.has(getGameKey(game)));
+                added.forEach(game => games.push(toEntry(game)));
+                return Promise.resolve(added.length);
+            }
+        };
+    }
+
+    /**
+     * 書き出し用の形式へ
+     * @param {{name: string, games: Array, records: object}} profile records はモードごとの記録表
+     */
+    function encodeProfile({ name, games, records }) {
+        return {
+            format: FORMAT,
+            version: VERSION,
+            date: new Date().toISOString(),
+            name,
+            games: games.map(toEntry),
+            records
+        };
+    }
+
+    /**
+     * 書き出したファイルを読み込み（不正な形式は例外）
+     * @returns {{name: string, games: Array, records: object}}
+     */
+    function decodeProfile(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (!data || data.format !== FORMAT) {
+            throw new Error('Not a profile file');
+        }
+        if (data.version !== VERSION) {
+            throw new Error(`Unsupported profile version: ${data.version}`);
+        }
+        const games = Array.isArray(data.games) ? data.games : [];
+        return {
+            name: typeof data.name === 'string' ? data.name : '',
+            games: games.filter(game => game && typeof game.mode === 'string' && typeof game.date === 'string'),
+            records: data.records && typeof data.records === 'object' ? data.records : {}
+        };
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        createHistoryStore,
+        encodeProfile,
+        decodeProfile
+    };
+});
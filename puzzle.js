@@ -0,0 +1,354 @@
+/**
+ * テトリス - 盤面エディタの局面と問題
+ * 局面（盤面・操作するピース・ホールド・NEXT・目標）を fumen（v115）と JSON で読み書きし、
+ * エンジンに渡す開始局面・目標のルールへ変換する
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'));
+    } else {
+        root.TetrisPuzzle = factory(root.TetrisEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Engine) {
+    'use strict';
+
+    const { COLS, ROWS, PIECE_TYPES, GARBAGE, CLEAR_TYPES } = Engine;
+
+    const FORMAT = 'tetris-puzzle';
+    const VERSION = 1;
+
+    // JSON形式の盤面の文字（ピースは種類の文字）
+    const EMPTY_CHAR = '.';
+    const GARBAGE_CHAR = 'G';
+
+    // ===== fumen =====
+
+    const FUMEN_PREFIX = 'v115@';
+    const FUMEN_TABLE = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    // 見える20段の上に3段ある高さ。その下にせり上がり用の1段が続く
+    const FUMEN_FIELD_TOP = 23;
+    const FUMEN_HIDDEN_ROWS = FUMEN_FIELD_TOP - ROWS;
+    const FUMEN_BLOCKS = (FUMEN_FIELD_TOP + 1) * COLS;
+    // fumenの色番号 1〜7 のピース（8 はゴミ）
+    const FUMEN_PIECES = ['I', 'L', 'O', 'Z', 'T', 'J', 'S'];
+    const FUMEN_GARBAGE = 8;
+    // コメントは escape した文字をこの表の番号で4文字ずつまとめる
+    const FUMEN_COMMENT_TABLE = ' !"#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~';
+    const FUMEN_COMMENT_BASE = FUMEN_COMMENT_TABLE.length + 1;
+    // クイズ形式のコメント #Q=[ホールド](操作するピース)NEXT
+    const FUMEN_QUIZ = /^#Q=\[([A-Z]?)\]\(([A-Z]?)\)([A-Z]*)/;
+
+    /**
+     * 目標の既定値（すべて指定なし = 自由に遊ぶ）
+     * lines: 消すライン数、clear: 1回は出す消去の種類（CLEAR_TYPES）、perfectClear: パーフェクトクリア、pieces: 置ける数
+     */
+    function createGoal() {
+        return { lines: 0, clear: null, perfectClear: false, pieces: 0 };
+    }
+
+    /**
+     * 空の局面
+     */
+    function createPosition() {
+        return {
+            board: new Array(ROWS * COLS).fill(0),
+            current: null,
+            hold: null,
+            next: [],
+            goal: createGoal()
+        };
+    }
+
+    /**
+     * 目標を検証して既定値で補完
+     */
+    function normalizeGoal(goal) {
+        const result = createGoal();
+        if (!goal) return result;
+        result.lines = Math.max(0, Math.floor(Number(goal.lines)) || 0);
+        result.clear = CLEAR_TYPES.includes(goal.clear) ? goal.clear : null;
+        result.perfectClear = Boolean(goal.perfectClear);
+        result.pieces = Math.max(0, Math.floor(Number(goal.pieces)) || 0);
+        return result;
+    }
+
+    /**
+     * 達成条件があるか（置ける数だけでは問題にならない）
+     */
+    function hasGoal(goal) {
+        return Boolean(goal && (goal.lines || goal.clear || goal.perfectClear));
+    }
+
+    /**
+     * 文字列からピースの並びを取り出す（ピース以外の文字は無視）
+     */
+    function parsePieces(text) {
+        return String(text || '').toUpperCase().split('').filter(type => PIECE_TYPES.includes(type));
+    }
+
+    /**
+     * 出てくる順のピース（操作するピース、NEXT）
+     */
+    function getQueue(position) {
+        return (position.current ? [position.current] : []).concat(position.next);
+    }
+
+    /**
+     * エンジンに渡す開始局面と目標のルール（ゲームの options に重ねる）
+     */
+    function toGameOptions(position) {
+        return {
+            position: {
+                board: position.board.slice(),
+                hold: position.hold,
+                queue: getQueue(position)
+            },
+            rules: {
+                puzzleGoal: hasGoal(position.goal) ? normalizeGoal(position.goal) : null
+            }
+        };
+    }
+
+    function toFumenColor(cell) {
+        if (!cell) return 0;
+        if (cell === GARBAGE) return FUMEN_GARBAGE;
+        return FUMEN_PIECES.indexOf(PIECE_TYPES[cell - 1]) + 1;
+    }
+
+    function fromFumenColor(color) {
+        if (!color) return 0;
+        if (color === FUMEN_GARBAGE) return GARBAGE;
+        return Engine.getColorIndex(FUMEN_PIECES[color - 1]);
+    }
+
+    /**
+     * 値を count 文字に（64進、下の桁から）
+     */
+    function encodeValue(value, count) {
+        let text = '';
+        for (let i = 0; i < count; i++) {
+            text += FUMEN_TABLE[value % 64];
+            value = Math.floor(value / 64);
+        }
+        return text;
+    }
+
+    /**
+     * fumenのデータを先頭から読む（途中で切れたデータ・表にない文字は例外）
+     */
+    function createReader(data) {
+        let index = 0;
+        return {
+            poll(count) {
+                let value = 0;
+                if (index + count > data.length) {
+                    throw new Error('Broken fumen');
+                }
+                for (let i = 0; i < count; i++) {
+                    const digit = FUMEN_TABLE.indexOf(data.charAt(index + i));
+                    if (digit < 0) {
+                        throw new Error('Broken fumen');
+                    }
+                    value += digit * Math.pow(64, i);
+                }
+                index += count;
+                return value;
+            }
+        };
+    }
+
+    /**
+     * 局面を fumen（1ページ）に
+     * 操作するピース・ホールド・NEXTはクイズ形式のコメントにする（目標は含まない）
+     */
+    function encodeFumen(position) {
+        // 盤面: 空の盤面との差を同じ値の連続でまとめる
+        const cells = new Array(FUMEN_BLOCKS).fill(0);
+        for (let i = 0; i < ROWS * COLS; i++) {
+            cells[FUMEN_HIDDEN_ROWS * COLS + i] = toFumenColor(position.board[i]);
+        }
+        let data = '';
+        let runs = 0;
+        for (let i = 0; i < FUMEN_BLOCKS;) {
+            let length = 1;
+            while (i + length < FUMEN_BLOCKS && cells[i + length] === cells[i]) length++;
+            data += encodeValue((cells[i] + 8) * FUMEN_BLOCKS + length - 1, 2);
+            i += length;
+            runs++;
+        }
+        // 変化のない盤面には、続けて変化のないページ数が付く
+        if (runs === 1 && cells[0] === 0) {
+            data += encodeValue(0, 1);
+        }
+
+        const queue = getQueue(position);
+        const comment = queue.length > 0
+            ? `#Q=[${position.hold || ''}](${queue[0]})${queue.slice(1).join('')}`
+            : '';
+
+        // 操作: ピースなし。フラグは上の桁から ロックしない・コメント・色付き・反転・せり上がり
+        const flags = [false, Boolean(comment), true, false, false];
+        const action = flags.reduce((value, flag) => value * 2 + (flag ? 1 : 0), 0);
+        data += encodeValue(action * FUMEN_BLOCKS * 4 * 8, 3);
+
+        if (comment) {
+            const escaped = escape(comment);
+            data += encodeValue(escaped.length, 2);
+            for (let i = 0; i < escaped.length; i += 4) {
+                let value = 0;
+                for (let j = 0; j < 4 && i + j < escaped.length; j++) {
+                    value += FUMEN_COMMENT_TABLE.indexOf(escaped.charAt(i + j)) * Math.pow(FUMEN_COMMENT_BASE, j);
+                }
+                data += encodeValue(value, 5);
+            }
+        }
+        return FUMEN_PREFIX + data;
+    }
+
+    /**
+     * fumen（URLや前後の文字を含んでもよい）の1ページ目を局面に（不正なデータは例外）
+     * 見える20段より上とせり上がり用の段は読み込まない
+     */
+    function decodeFumen(text) {
+        const match = /[vmd]115@([A-Za-z0-9+/?]+)/.exec(String(text));
+        if (!match) {
+            throw new Error('Not a fumen (v115)');
+        }
+        const reader = createReader(match[1].replace(/\?/g, ''));
+        const position = createPosition();
+
+        for (let i = 0; i < FUMEN_BLOCKS;) {
+            const value = reader.poll(2);
+            const color = Math.floor(value / FUMEN_BLOCKS) - 8;
+            const length = value % FUMEN_BLOCKS + 1;
+            if (color < 0 || color > FUMEN_GARBAGE) {
+                throw new Error('Broken fumen');
+            }
+            if (color === 0 && length === FUMEN_BLOCKS) {
+                reader.poll(1);
+            }
+            for (let j = 0; j < length && i < FUMEN_BLOCKS; j++, i++) {
+                const y = Math.floor(i / COLS) - FUMEN_HIDDEN_ROWS;
+                if (y >= 0 && y < ROWS) {
+                    position.board[y * COLS + i % COLS] = fromFumenColor(color);
+                }
+            }
+        }
+
+        // 操作: 種類(8) 向き(4) 位置 のあとにフラグ
+        let action = reader.poll(3);
+        const pieceType = FUMEN_PIECES[action % 8 - 1] || null;
+        action = Math.floor(action / (8 * 4 * FUMEN_BLOCKS));
+        const hasComment = Math.floor(action / 8) % 2 === 1;
+
+        let comment = '';
+        if (hasComment) {
+            const length = reader.poll(2);
+            let escaped = '';
+            for (let i = 0; i < length; i += 4) {
+                let value = reader.poll(5);
+                for (let j = 0; j < 4; j++) {
+                    escaped += FUMEN_COMMENT_TABLE.charAt(value % FUMEN_COMMENT_BASE);
+                    value = Math.floor(value / FUMEN_COMMENT_BASE);
+                }
+            }
+            comment = unescape(escaped.slice(0, length));
+        }
+
+        const quiz = FUMEN_QUIZ.exec(comment);
+        if (quiz) {
+            const pieces = parsePieces(quiz[2] + quiz[3]);
+            position.hold = parsePieces(quiz[1])[0] || null;
+            position.current = pieces.length > 0 ? pieces[0] : null;
+            position.next = pieces.slice(1);
+        } else {
+            position.current = pieceType;
+        }
+        return position;
+    }
+
+    // ===== JSON =====
+
+    /**
+     * 局面を書き出し用の形式へ（盤面は上の段から1段1文字列）
+     */
+    function encodePosition(position) {
+        const board = [];
+        for (let y = 0; y < ROWS; y++) {
+            let row = '';
+            for (let x = 0; x < COLS; x++) {
+                const cell = position.board[y * COLS + x];
+                row += !cell ? EMPTY_CHAR : cell === GARBAGE ? GARBAGE_CHAR : PIECE_TYPES[cell - 1];
+            }
+            board.push(row);
+        }
+        return {
+            format: FORMAT,
+            version: VERSION,
+            board,
+            current: position.current,
+            hold: position.hold,
+            next: position.next.join(''),
+            goal: normalizeGoal(position.goal)
+        };
+    }
+
+    /**
+     * 書き出した局面を読み込み（不正な形式は例外）
+     */
+    function decodePosition(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (!data || data.format !== FORMAT) {
+            throw new Error('Not a puzzle file');
+        }
+        if (data.version !== VERSION) {
+            throw new Error(`Unsupported puzzle version: ${data.version}`);
+        }
+        if (!Array.isArray(data.board) || data.board.length !== ROWS) {
+            throw new Error('Broken puzzle board');
+        }
+
+        const position = createPosition();
+        data.board.forEach((row, y) => {
+            if (typeof row !== 'string' || row.length !== COLS) {
+                throw new Error('Broken puzzle board');
+            }
+            for (let x = 0; x < COLS; x++) {
+                const char = row.charAt(x);
+                let cell = 0;
+                if (char === GARBAGE_CHAR) {
+                    cell = GARBAGE;
+                } else if (PIECE_TYPES.includes(char)) {
+                    cell = Engine.getColorIndex(char);
+                } else if (char !== EMPTY_CHAR) {
+                    throw new Error('Broken puzzle board');
+                }
+                position.board[y * COLS + x] = cell;
+            }
+        });
+        position.current = PIECE_TYPES.includes(data.current) ? data.current : null;
+        position.hold = PIECE_TYPES.includes(data.hold) ? data.hold : null;
+        position.next = parsePieces(data.next);
+        position.goal = normalizeGoal(data.goal);
+        return position;
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        createGoal,
+        createPosition,
+        normalizeGoal,
+        hasGoal,
+        parsePieces,
+        getQueue,
+        toGameOptions,
+        encodeFumen,
+        decodeFumen,
+        encodePosition,
+        decodePosition
+    };
+});
@@ -0,0 +1,201 @@
+/**
+ * テトリス - ピース生成器
+ * シード付き疑似乱数と選択可能な生成アルゴリズム（7バッグ、14バッグ、完全ランダム、NES式、TGM式）
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TetrisRandomizer = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const PIECE_TYPES = ['I', 'O', 'T', 'S', 'Z', 'J', 'L'];
+
+    // 生成アルゴリズム一覧（表示名）
+    const GENERATORS = {
+        bag7: '7-BAG',
+        bag14: '14-BAG',
+        random: 'RANDOM',
+        nes: 'NES',
+        tgm: 'TGM'
+    };
+
+    const DEFAULT_GENERATOR = 'bag7';
+
+    // TGM式の履歴長と再抽選回数
+    const TGM_HISTORY = 4;
+    const TGM_ROLLS = 4;
+
+    /**
+     * ランダムなシード文字列生成
+     */
+    function generateSeed() {
+        return Math.floor(Math.random() * 0x100000000).toString(36).padStart(7, '0');
+    }
+
+    /**
+     * シード文字列を32bit整数へ（FNV-1a）
+     */
+    function hashSeed(seed) {
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * 疑似乱数生成器（mulberry32）
+     * 状態は32bit整数ひとつなので保存・復元が容易
+     */
+    function createRng(state) {
+        let s = state >>> 0;
+
+        return {
+            next() {
+                s = (s + 0x6d2b79f5) >>> 0;
+                let t = s;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            },
+            int(n) {
+                return Math.floor(this.next() * n);
+            },
+            getState() {
+                return s;
+            },
+            setState(value) {
+                s = value >>> 0;
+            }
+        };
+    }
+
+    /**
+     * 配列シャッフル
+     */
+    function shuffle(array, rng) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = rng.int(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+    }
+
+    /**
+     * ピース生成器作成
+     * @param {string} type GENERATORSのキー
+     * @param {string} seed シード文字列
+     */
+    function createRandomizer(type, seed) {
+        if (!GENERATORS[type]) {
+            throw new Error(`Unknown randomizer: ${type}`);
+        }
+
+        const rng = createRng(hashSeed(seed));
+        let bag = [];
+        let history = [];
+
+        /**
+         * バッグ式（7種×bagCount個を使い切るまで重複なし）
+         */
+        function nextFromBag(bagCount) {
+            if (bag.length === 0) {
+                for (let i = 0; i < bagCount; i++) {
+                    bag.push(...PIECE_TYPES);
+                }
+                shuffle(bag, rng);
+            }
+            return bag.pop();
+        }
+
+        /**
+         * NES式（直前と同じなら1回だけ再抽選）
+         */
+        function nextNes() {
+            const prev = history[0];
+            let index = rng.int(PIECE_TYPES.length + 1);
+            if (index === PIECE_TYPES.length || PIECE_TYPES[index] === prev) {
+                index = rng.int(PIECE_TYPES.length);
+            }
+            history = [PIECE_TYPES[index]];
+            return PIECE_TYPES[index];
+        }
+
+        /**
+         * TGM式（直近4個の履歴にあれば最大4回再抽選、初手はS/Z/O以外）
+         */
+        function nextTgm() {
+            let piece;
+            if (history.length === 0) {
+                const first = ['I', 'T', 'J', 'L'];
+                piece = first[rng.int(first.length)];
+                history = [piece, 'Z', 'Z', 'Z'];
+                return piece;
+            }
+            for (let roll = 0; roll < TGM_ROLLS; roll++) {
+                piece = PIECE_TYPES[rng.int(PIECE_TYPES.length)];
+                if (!history.includes(piece)) break;
+            }
+            history.unshift(piece);
+            history.length = TGM_HISTORY;
+            return piece;
+        }
+
+        /**
+         * 次のピース種別
+         */
+        function next() {
+            switch (type) {
+                case 'bag14':
+                    return nextFromBag(2);
+                case 'random':
+                    return PIECE_TYPES[rng.int(PIECE_TYPES.length)];
+                case 'nes':
+                    return nextNes();
+                case 'tgm':
+                    return nextTgm();
+                default:
+                    return nextFromBag(1);
+            }
+        }
+
+        /**
+         * 使いかけのバッグを捨てる（バッグ式は次から新しいバッグの先頭。それ以外は影響なし）
+         */
+        function discardBag() {
+            bag = [];
+        }
+
+        /**
+         * 内部状態の書き出し（JSON化可能）
+         */
+        function getState() {
+            return { rng: rng.getState(), bag: bag.slice(), history: history.slice() };
+        }
+
+        /**
+         * 内部状態の復元
+         */
+        function setState(data) {
+            rng.setState(data.rng);
+            bag = data.bag.slice();
+            history = data.history.slice();
+        }
+
+        return { type, seed: String(seed), next, discardBag, getState, setState };
+    }
+
+    return {
+        GENERATORS,
+        DEFAULT_GENERATOR,
+        generateSeed,
+        hashSeed,
+        createRng,
+        createRandomizer
+    };
+});
@@ -0,0 +1,195 @@
+/**
+ * テトリス - モード別ハイスコア表
+ * localStorage互換のストレージにモードごと（掘りモードは穴変化率ごと）の上位記録（プレイヤー名つき）を保存する
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./modes.js'));
+    } else {
+        root.TetrisRecords = factory(root.TetrisModes);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Modes) {
+    'use strict';
+
+    const STORAGE_KEY = 'tetrisHighScores';
+    // 旧バージョンの単一ハイスコア（マラソンの記録として引き継ぐ）
+    const LEGACY_KEY = 'tetrisHighScore';
+    const TABLE_SIZE = 10;
+    const NAME_LENGTH = 12;
+    // 記録表のキーでモード名と条件を区切る文字
+    const KEY_SEPARATOR = '@';
+
+    /**
+     * 記録表のキー（掘りモードは穴変化率ごとに別の表にし、違う条件のタイムを比べない）
+     * @param {number} [garbageMessiness] 掘りモードの穴変化率（省略時はモードの既定）
+     */
+    function getTableKey(mode, garbageMessiness) {
+        const rules = Modes.getRules(mode);
+        if (!rules.garbageGoal) return mode;
+        const messiness = garbageMessiness === undefined ? rules.garbageMessiness : garbageMessiness;
+        return mode + KEY_SEPARATOR + Math.round(messiness * 100);
+    }
+
+    /**
+     * 記録表のキーのモード名
+     */
+    function getKeyMode(key) {
+        return key.split(KEY_SEPARATOR)[0];
+    }
+
+    /**
+     * 記録の比較（負なら a が上位）
+     */
+    function compareRecords(mode, a, b) {
+        if (Modes.getMode(mode).rank === 'time') {
+            return a.time - b.time;
+        }
+        return b.score - a.score;
+    }
+
+    /**
+     * 取り込む記録として正しい形か（数値は有限、名前と日時は文字列）
+     */
+    function isValidRecord(entry) {
+        return Boolean(entry)
+            && Number.isFinite(entry.score)
+            && Number.isFinite(entry.time)
+            && Number.isFinite(entry.lines)
+            && typeof entry.name === 'string'
+            && typeof entry.date === 'string';
+    }
+
+    /**
+     * ハイスコア表を作成
+     * @param {Storage} storage localStorage等（getItem/setItem/removeItem）
+     */
+    function createRecordStore(storage) {
+        const tables = {};
+        mergeTables(load());
+
+        /**
+         * 読み込み（旧形式の移行を含む）
+         */
+        function load() {
+            let data = {};
+            try {
+                data = JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+
+                const legacy = parseInt(storage.getItem(LEGACY_KEY), 10);
+                if (legacy > 0 && !data.marathon) {
+                    data.marathon = [{ score: legacy, lines: 0, time: 0, date: null }];
+                    storage.setItem(STORAGE_KEY, JSON.stringify(data));
+                    storage.removeItem(LEGACY_KEY);
+                }
+            } catch (e) {
+                // ストレージ使用不可・破損データの場合は空の表から始める
+            }
+            return data;
+        }
+
+        function save() {
+            try {
+                storage.setItem(STORAGE_KEY, JSON.stringify(tables));
+            } catch (e) {
+                // ストレージ使用不可の場合は無視
+            }
+        }
+
+        /**
+         * 記録表の記録一覧（上位順）
+         * @param {string} key getTableKey で作ったキー
+         */
+        function getTable(key) {
+            return (tables[key] || []).slice();
+        }
+
+        /**
+         * 記録表の1位記録（なければnull）
+         */
+        function getBest(key) {
+            return getTable(key)[0] || null;
+        }
+
+        /**
+         * 記録登録（順位を返す。圏外は-1）
+         * @param {{score: number, lines: number, time: number, name?: string}} entry
+         */
+        function submit(key, entry) {
+            const record = Object.assign({ date: new Date().toISOString() }, entry);
+            const table = getTable(key);
+            table.push(record);
+            table.sort((a, b) => compareRecords(getKeyMode(key), a, b));
+            table.length = Math.min(table.length, TABLE_SIZE);
+
+            const rank = table.indexOf(record);
+            if (rank >= 0) {
+                tables[key] = table;
+                save();
+            }
+            return rank;
+        }
+
+        /**
+         * 登録済みの記録の名前を変更
+         */
+        function rename(key, rank, name) {
+            const record = tables[key] && tables[key][rank];
+            if (!record) return;
+            record.name = String(name).slice(0, NAME_LENGTH);
+            save();
+        }
+
+        /**
+         * 全モードの記録表（書き出し用）
+         */
+        function getTables() {
+            return JSON.parse(JSON.stringify(tables));
+        }
+
+        /**
+         * 記録表を合わせる（同じ日時の記録は重複とみなし、表ごとに上位だけ残す）
+         * 掘りモードの記録は記録ごとの穴変化率の表に入れる（変化率で分ける前の表も引き継げる）
+         */
+        function mergeTables(imported) {
+            const merged = {};
+            for (const [key, entries] of Object.entries(imported || {})) {
+                const mode = getKeyMode(key);
+                if (!Modes.MODES[mode] || !Array.isArray(entries)) continue;
+                for (const entry of entries.filter(Boolean)) {
+                    const target = getTableKey(mode, entry.garbageMessiness);
+                    if (!merged[target]) merged[target] = getTable(target);
+                    const table = merged[target];
+                    if (!table.some(record => record.date === entry.date)) table.push(entry);
+                }
+            }
+            for (const [key, table] of Object.entries(merged)) {
+                table.sort((a, b) => compareRecords(getKeyMode(key), a, b));
+                table.length = Math.min(table.length, TABLE_SIZE);
+                tables[key] = table;
+            }
+        }
+
+        /**
+         * 書き出した記録表を取り込む（形の正しくない記録は捨てる）
+         */
+        function importTables(imported) {
+            const valid = {};
+            for (const [key, entries] of Object.entries(imported || {})) {
+                if (Array.isArray(entries)) valid[key] = entries.filter(isValidRecord);
+            }
+            mergeTables(valid);
+            save();
+        }
+
+        return { getTable, getBest, submit, rename, getTables, importTables };
+    }
+
+    return {
+        TABLE_SIZE,
+        NAME_LENGTH,
+        compareRecords,
+        getTableKey,
+        createRecordStore
+    };
+});
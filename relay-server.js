@@ -0,0 +1,513 @@
+/**
+ * テトリス - オンライン対戦用中継サーバー（Node.js、依存パッケージなし）
+ * 部屋ごとに2人をつなぎ、シードを配って開始させ、操作・攻撃を相手へ中継する
+ * 勝敗（先にトップアウトした側の負け）と再戦の合意はサーバーが判定する
+ * 同じポートでゲームの静的ファイルも配信する
+ *
+ * 起動: node relay-server.js [port]   （既定 8080）
+ * ブラウザで http://localhost:8080/ を開き、ONLINE VERSUS で同じ部屋名を入力する
+ * connect() はテストやボット用のヘッドレスクライアント（テスト: node --test）
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 8080;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1 << 20;
+// 分割されたフレームをつないだ1メッセージの上限
+const MAX_MESSAGE = 1 << 20;
+const PING_INTERVAL = 15000;
+const ROOM_SIZE = 2;
+
+// 相手へそのまま中継するメッセージ
+const RELAYED_TYPES = ['sync', 'attack'];
+
+// 配信する静的ファイルの種類
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json'
+};
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xa
+};
+
+// 切断時に送る理由コード
+const CLOSE_CODES = {
+    PROTOCOL_ERROR: 1002,
+    MESSAGE_TOO_BIG: 1009
+};
+
+// ===== WebSocketフレーム =====
+
+/**
+ * フレームを組み立てる（クライアント送信時は mask = true）
+ */
+function encodeFrame(opcode, payload, mask) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload || '');
+    let headerLength = 2;
+    if (data.length >= 126) headerLength += data.length > 0xffff ? 8 : 2;
+    const maskKey = mask ? crypto.randomBytes(4) : null;
+    if (maskKey) headerLength += 4;
+
+    const frame = Buffer.alloc(headerLength + data.length);
+    frame[0] = 0x80 | opcode;
+    let offset = 2;
+    if (data.length < 126) {
+        frame[1] = data.length;
+    } else if (data.length <= 0xffff) {
+        frame[1] = 126;
+        frame.writeUInt16BE(data.length, 2);
+        offset += 2;
+    } else {
+        frame[1] = 127;
+        frame.writeBigUInt64BE(BigInt(data.length), 2);
+        offset += 8;
+    }
+    if (maskKey) {
+        frame[1] |= 0x80;
+        maskKey.copy(frame, offset);
+        offset += 4;
+        for (let i = 0; i < data.length; i++) {
+            frame[offset + i] = data[i] ^ maskKey[i % 4];
+        }
+    } else {
+        data.copy(frame, offset);
+    }
+    return frame;
+}
+
+/**
+ * 受信バッファからフレームを読み出す（不足なら null）
+ * @returns {{fin: boolean, opcode: number, payload: Buffer, length: number}|null}
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const big = buffer.readBigUInt64BE(2);
+        if (big > BigInt(MAX_PAYLOAD)) throw new Error('Frame too large');
+        length = Number(big);
+        offset = 10;
+    }
+    if (length > MAX_PAYLOAD) throw new Error('Frame too large');
+
+    const maskKey = masked ? buffer.slice(offset, offset + 4) : null;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.slice(offset, offset + length));
+    if (maskKey) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= maskKey[i % 4];
+        }
+    }
+    return { fin, opcode, payload, length: offset + length };
+}
+
+/**
+ * ソケット上のWebSocket接続（サーバー側・クライアント側共通）
+ * ブラウザのWebSocketと同じ onopen / onmessage / onclose / send / close を持つ
+ */
+function createConnection(socket, isClient) {
+    const connection = {
+        readyState: 1,
+        onopen: null,
+        onmessage: null,
+        onclose: null,
+        onerror: null,
+        send(text) {
+            if (connection.readyState !== 1) return;
+            socket.write(encodeFrame(OPCODES.TEXT, String(text), isClient));
+        },
+        close() {
+            if (connection.readyState !== 1) return;
+            connection.readyState = 2;
+            socket.end(encodeFrame(OPCODES.CLOSE, null, isClient));
+        },
+        ping() {
+            socket.write(encodeFrame(OPCODES.PING, null, isClient));
+        }
+    };
+
+    let buffer = Buffer.alloc(0);
+    // 組み立て中のメッセージ（TEXT で始まり、FIN までの CONTINUATION をつなぐ。なければnull）
+    let fragments = null;
+    let fragmentBytes = 0;
+    let failed = false;
+
+    socket.on('data', chunk => {
+        if (failed) return;
+        buffer = Buffer.concat([buffer, chunk]);
+        try {
+            let frame;
+            while (!failed && (frame = decodeFrame(buffer))) {
+                buffer = buffer.slice(frame.length);
+                handleFrame(frame);
+            }
+        } catch (e) {
+            socket.destroy();
+        }
+    });
+    socket.on('close', () => {
+        if (connection.readyState === 3) return;
+        connection.readyState = 3;
+        if (connection.onclose) connection.onclose();
+    });
+    socket.on('error', error => {
+        if (connection.onerror) connection.onerror(error);
+    });
+
+    /**
+     * 不正なフレームを受けたら理由コードを送って切断（以降の受信は捨てる）
+     */
+    function fail(code) {
+        failed = true;
+        fragments = null;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        connection.readyState = 2;
+        socket.end(encodeFrame(OPCODES.CLOSE, payload, isClient));
+    }
+
+    function handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.CONTINUATION:
+                // CONTINUATION は組み立て中のメッセージの続きとしてだけ、TEXT は新しいメッセージとしてだけ受け付ける
+                if ((opcode === OPCODES.CONTINUATION) !== (fragments !== null)) {
+                    fail(CLOSE_CODES.PROTOCOL_ERROR);
+                    return;
+                }
+                if (opcode === OPCODES.TEXT) {
+                    fragments = [];
+                    fragmentBytes = 0;
+                }
+                fragmentBytes += payload.length;
+                if (fragmentBytes > MAX_MESSAGE) {
+                    fail(CLOSE_CODES.MESSAGE_TOO_BIG);
+                    return;
+                }
+                fragments.push(payload);
+                if (fin) {
+                    const data = Buffer.concat(fragments).toString('utf8');
+                    fragments = null;
+                    if (connection.onmessage) connection.onmessage({ data });
+                }
+                break;
+            case OPCODES.PING:
+                socket.write(encodeFrame(OPCODES.PONG, payload, isClient));
+                break;
+            case OPCODES.PONG:
+                connection.alive = true;
+                break;
+            case OPCODES.CLOSE:
+                if (connection.readyState === 1) {
+                    connection.readyState = 2;
+                    socket.end(encodeFrame(OPCODES.CLOSE, null, isClient));
+                }
+                break;
+        }
+    }
+
+    return connection;
+}
+
+// ===== 部屋 =====
+
+/**
+ * 中継サーバーを作成（listen は呼び出し側で行う）
+ * @param {{staticRoot?: string|null, log?: Function}} [options] staticRoot: 静的ファイルの配信元（null で配信しない）
+ */
+function createRelayServer(options = {}) {
+    const staticRoot = options.staticRoot === undefined ? __dirname : options.staticRoot;
+    const log = options.log || (() => {});
+    const rooms = new Map();
+
+    const server = http.createServer(serveStatic);
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+        acceptClient(createConnection(socket, false));
+    });
+
+    // 応答のない接続を切る
+    const pingTimer = setInterval(() => {
+        for (const room of rooms.values()) {
+            for (const client of room.clients) {
+                if (!client.connection.alive) {
+                    client.connection.close();
+                    continue;
+                }
+                client.connection.alive = false;
+                client.connection.ping();
+            }
+        }
+    }, PING_INTERVAL);
+    pingTimer.unref();
+    server.on('close', () => clearInterval(pingTimer));
+
+    /**
+     * 静的ファイル配信（staticRoot 配下のみ）
+     */
+    function serveStatic(request, response) {
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        } catch (e) {
+            // 不正なパーセントエンコードは要求の誤り
+            response.writeHead(400);
+            response.end();
+            return;
+        }
+        const filePath = path.join(staticRoot || '', urlPath === '/' ? 'index.html' : urlPath);
+        const contentType = CONTENT_TYPES[path.extname(filePath)];
+        if (!staticRoot || !contentType || !filePath.startsWith(path.resolve(staticRoot) + path.sep)) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        fs.readFile(filePath, (error, data) => {
+            if (error) {
+                response.writeHead(404);
+                response.end();
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': contentType });
+            response.end(data);
+        });
+    }
+
+    /**
+     * 接続直後（最初の join で部屋に入る）
+     */
+    function acceptClient(connection) {
+        const client = { connection, room: null, rematch: false };
+        connection.alive = true;
+
+        connection.onmessage = ({ data }) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (e) {
+                return;
+            }
+            if (!message || typeof message.type !== 'string') return;
+
+            if (message.type === 'join') {
+                join(client, message);
+            } else if (client.room) {
+                handleMessage(client, message);
+            }
+        };
+        connection.onclose = () => leave(client);
+    }
+
+    function send(client, message) {
+        client.connection.send(JSON.stringify(message));
+    }
+
+    /**
+     * 部屋に入る（満員ならエラー）。2人そろったら開始
+     */
+    function join(client, { room: name, randomizer, rotationSystem, spinRule, gravityCurve, handling }) {
+        if (client.room || typeof name !== 'string' || !name) return;
+        let room = rooms.get(name);
+        if (!room) {
+            room = { name, clients: [], playing: false, randomizer: null };
+            rooms.set(name, room);
+        }
+        if (room.clients.length >= ROOM_SIZE) {
+            send(client, { type: 'error', message: 'Room is full' });
+            client.connection.close();
+            return;
+        }
+
+        client.room = room;
+        client.randomizer = typeof randomizer === 'string' ? randomizer : null;
+        client.rotationSystem = typeof rotationSystem === 'string' ? rotationSystem : null;
+        client.spinRule = typeof spinRule === 'string' ? spinRule : null;
+        client.gravityCurve = typeof gravityCurve === 'string' ? gravityCurve : null;
+        client.handling = handling && typeof handling === 'object' ? handling : null;
+        room.clients.push(client);
+        log(`join ${name} (${room.clients.length}/${ROOM_SIZE})`);
+        send(client, { type: 'joined', room: name, index: room.clients.indexOf(client) });
+
+        if (room.clients.length === ROOM_SIZE) {
+            startMatch(room);
+        }
+    }
+
+    /**
+     * 新しいシードで対戦開始（生成器・回転システム・スピン判定・重力カーブは先に部屋にいた側の設定）
+     * 操作感は各自の設定を両者に配る（相手の盤面の再実行に使う）
+     */
+    function startMatch(room) {
+        const seed = crypto.randomBytes(4).toString('hex');
+        const { randomizer, rotationSystem, spinRule, gravityCurve } = room.clients[0];
+        const handling = room.clients.map(client => client.handling);
+        room.playing = true;
+        room.clients.forEach((client, index) => {
+            client.rematch = false;
+            send(client, { type: 'start', seed, randomizer, rotationSystem, spinRule, gravityCurve, handling, index });
+        });
+        log(`start ${room.name} seed=${seed}`);
+    }
+
+    function handleMessage(client, message) {
+        const room = client.room;
+        const index = room.clients.indexOf(client);
+        const opponent = room.clients[1 - index];
+
+        if (RELAYED_TYPES.includes(message.type)) {
+            if (room.playing && opponent) send(opponent, message);
+            return;
+        }
+
+        switch (message.type) {
+            case 'gameOver':
+                // 先に届いた側の負け（同時トップアウトでも勝敗を1つに決める）
+                if (!room.playing) return;
+                room.playing = false;
+                room.clients.forEach(c => send(c, { type: 'end', winner: 1 - index }));
+                log(`end ${room.name} winner=${1 - index}`);
+                break;
+            case 'rematch':
+                if (room.playing) return;
+                client.rematch = true;
+                if (room.clients.length === ROOM_SIZE && room.clients.every(c => c.rematch)) {
+                    startMatch(room);
+                } else if (opponent) {
+                    send(opponent, { type: 'rematch' });
+                }
+                break;
+        }
+    }
+
+    /**
+     * 切断（残った側へ通知し、次の相手を待つ）
+     */
+    function leave(client) {
+        const room = client.room;
+        if (!room) return;
+        client.room = null;
+        room.clients = room.clients.filter(c => c !== client);
+        room.playing = false;
+        log(`leave ${room.name} (${room.clients.length}/${ROOM_SIZE})`);
+
+        if (room.clients.length === 0) {
+            rooms.delete(room.name);
+            return;
+        }
+        room.clients.forEach((c, index) => {
+            c.rematch = false;
+            send(c, { type: 'left', index });
+        });
+    }
+
+    return server;
+}
+
+// ===== ヘッドレスクライアント =====
+
+/**
+ * WebSocketで接続（ブラウザの WebSocket と同じ形のオブジェクトを返す）
+ * @param {string} url ws://host:port/
+ */
+function connect(url) {
+    const { hostname, port, pathname } = new URL(url);
+    const key = crypto.randomBytes(16).toString('base64');
+    const pending = {
+        readyState: 0,
+        onopen: null,
+        onmessage: null,
+        onclose: null,
+        onerror: null,
+        send() {
+            throw new Error('WebSocket is not open');
+        },
+        close() {
+            request.destroy();
+        }
+    };
+
+    const request = http.request({
+        hostname,
+        port: port || 80,
+        path: pathname,
+        headers: {
+            Connection: 'Upgrade',
+            Upgrade: 'websocket',
+            'Sec-WebSocket-Key': key,
+            'Sec-WebSocket-Version': '13'
+        }
+    });
+    request.on('upgrade', (response, socket) => {
+        const connection = createConnection(socket, true);
+        // 呼び出し側が設定したハンドラを引き継ぐ
+        for (const name of ['onopen', 'onmessage', 'onclose', 'onerror']) {
+            connection[name] = pending[name];
+            Object.defineProperty(pending, name, {
+                get: () => connection[name],
+                set: handler => { connection[name] = handler; }
+            });
+        }
+        Object.defineProperty(pending, 'readyState', { get: () => connection.readyState });
+        pending.send = connection.send;
+        pending.close = connection.close;
+        socket.setNoDelay(true);
+        if (connection.onopen) connection.onopen();
+    });
+    request.on('error', error => {
+        if (pending.onerror) pending.onerror(error);
+        if (pending.onclose) pending.onclose();
+    });
+    request.end();
+    return pending;
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || DEFAULT_PORT;
+    createRelayServer({ log: message => console.log(message) }).listen(port, () => {
+        console.log(`Relay server listening on http://localhost:${port}/`);
+    });
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    createRelayServer,
+    connect
+};
@@ -0,0 +1,195 @@
+/**
+ * テトリス - 中継サーバーのテスト（localhost で2つのヘッドレスクライアントを対戦させる）
+ *
+ * 実行: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const Engine = require('./engine.js');
+const Net = require('./net.js');
+const { createRelayServer, connect } = require('./relay-server.js');
+
+// 決着を待つ上限（tick数）
+const MAX_TICKS = 20000;
+
+/**
+ * 空いているポートでサーバーを起動
+ */
+function listen(server) {
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+    });
+}
+
+/**
+ * 1回だけのイベントを待つ
+ */
+function once(match, type) {
+    return new Promise(resolve => {
+        const off = match.on(type, payload => {
+            off();
+            resolve(payload);
+        });
+    });
+}
+
+/**
+ * 次のイベントループまで待つ（受信したメッセージを処理させる）
+ */
+function yieldToSockets() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * 生のWebSocketで接続してフレームを送り、サーバーが切断時に返した理由コードを得る
+ * @param {Buffer[]} frames 送るフレーム
+ */
+function sendRawFrames(port, frames) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            host: '127.0.0.1',
+            port,
+            path: '/',
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+        request.on('upgrade', (response, socket, head) => {
+            let received = head;
+            socket.on('data', chunk => { received = Buffer.concat([received, chunk]); });
+            socket.on('error', () => {});
+            socket.on('close', () => {
+                // CLOSE フレーム（0x88, 長さ2, 理由コード）
+                const index = received.indexOf(0x88);
+                resolve(index >= 0 && received[index + 1] === 2 ? received.readUInt16BE(index + 2) : null);
+            });
+            frames.forEach(frame => socket.write(frame));
+        });
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+/**
+ * マスクなしのフレームを組み立てる
+ */
+function rawFrame(fin, opcode, payload) {
+    const header = payload.length < 126 ? Buffer.alloc(2) : Buffer.alloc(4);
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    if (payload.length < 126) {
+        header[1] = payload.length;
+    } else {
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function get(port, urlPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: urlPath }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        }).on('error', reject);
+    });
+}
+
+test('2人が同じ部屋に入って最後まで対戦できる', () => {
+    const server = createRelayServer({ staticRoot: null });
+    const matches = [];
+
+    return listen(server).then(port => {
+        const url = `ws://127.0.0.1:${port}/`;
+        for (let i = 0; i < 2; i++) {
+            matches.push(Net.createOnlineMatch({
+                url,
+                room: 'test',
+                rotationSystem: 'srs',
+                gravityCurve: 'guideline',
+                createSocket: connect
+            }));
+        }
+        return Promise.all(matches.map(match => once(match, 'start')));
+    }).then(starts => {
+        assert.strictEqual(starts[0].seed, starts[1].seed);
+        assert.notStrictEqual(starts[0].index, starts[1].index);
+
+        // 1人目はハードドロップだけで積み上げてトップアウト、2人目は何もしない
+        const ends = matches.map(match => once(match, 'end'));
+        const [loser, winner] = matches;
+        let ticks = 0;
+        function play() {
+            if (loser.isOver() && winner.isOver()) return Promise.resolve();
+            if (ticks >= MAX_TICKS) return Promise.reject(new Error('対戦が終わらない'));
+            for (let i = 0; i < 10; i++, ticks++) {
+                loser.apply(0, Engine.ACTIONS.HARD_DROP);
+                loser.apply(0, Engine.ACTIONS.HARD_DROP, false);
+                loser.tick();
+                winner.tick();
+            }
+            return yieldToSockets().then(play);
+        }
+        return play().then(() => Promise.all(ends));
+    }).then(([lost, won]) => {
+        const [loser, winner] = matches;
+        assert.deepStrictEqual(lost, { winner: 1, disconnected: false });
+        assert.deepStrictEqual(won, { winner: 0, disconnected: false });
+        assert.strictEqual(loser.getStatus(), Net.STATUS.ENDED);
+
+        // 相手側で再実行した盤面は本人の盤面と一致する
+        const local = loser.players[0].game.getState();
+        const remote = winner.players[1].game.getState();
+        assert.ok(local.gameOver);
+        assert.ok(remote.gameOver);
+        assert.deepStrictEqual(Array.from(remote.board), Array.from(local.board));
+        assert.strictEqual(remote.stats.pieces, local.stats.pieces);
+    }).finally(() => {
+        matches.forEach(match => match.close());
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+});
+
+test('不正なパーセントエンコードのパスには400を返す', () => {
+    const server = createRelayServer();
+    return listen(server).then(port => {
+        return get(port, '/%E0%A4%A').then(status => {
+            assert.strictEqual(status, 400);
+            return get(port, '/index.html');
+        });
+    }).then(status => {
+        // サーバーは落ちずに応答を続ける
+        assert.strictEqual(status, 200);
+    }).finally(() => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+});
+
+test('分割メッセージが大きすぎる・続きだけが届く場合は切断する', () => {
+    const server = createRelayServer({ staticRoot: null });
+    return listen(server).then(port => {
+        // FIN のない断片を上限（1MiB）を超えるまで送り続ける
+        const chunk = Buffer.alloc(0xffff, 0x61);
+        const frames = [rawFrame(false, 0x1, chunk)];
+        for (let i = 0; i < 17; i++) frames.push(rawFrame(false, 0x0, chunk));
+        return sendRawFrames(port, frames).then(code => {
+            assert.strictEqual(code, 1009);
+            // TEXT で始まっていない CONTINUATION
+            return sendRawFrames(port, [rawFrame(true, 0x0, Buffer.from('{}'))]);
+        });
+    }).then(code => {
+        assert.strictEqual(code, 1002);
+    }).finally(() => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+});
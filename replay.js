@@ -0,0 +1,267 @@
+/**
+ * テトリス - リプレイ記録・再生
+ * エンジンへの操作を発生tickとともに記録し、同じシード・設定で再実行して再現する
+ * v3: 消去演出を待って次のピースを出し、複数ラインを正しく詰めるエンジンでの記録（それより前の形式は読み込めない）
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'));
+    } else {
+        root.TetrisReplay = factory(root.TetrisEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Engine) {
+    'use strict';
+
+    const FORMAT = 'tetris-replay';
+    const VERSION = 3;
+
+    const { ACTIONS, TICK_MS } = Engine;
+
+    // 操作の1文字コード（大文字=押下、小文字=解放）
+    const ACTION_CODES = {
+        [ACTIONS.MOVE_LEFT]: 'L',
+        [ACTIONS.MOVE_RIGHT]: 'R',
+        [ACTIONS.SOFT_DROP]: 'D',
+        [ACTIONS.ROTATE_CW]: 'X',
+        [ACTIONS.ROTATE_CCW]: 'Z',
+        [ACTIONS.ROTATE_180]: 'A',
+        [ACTIONS.HARD_DROP]: 'S',
+        [ACTIONS.HOLD]: 'C',
+        [ACTIONS.PAUSE]: 'P'
+    };
+
+    const CODE_ACTIONS = {};
+    for (const [action, code] of Object.entries(ACTION_CODES)) {
+        CODE_ACTIONS[code] = action;
+    }
+
+    // 押しっぱなしになりうる操作（引き継ぎ時に解放する）
+    const HELD_ACTIONS = [ACTIONS.MOVE_LEFT, ACTIONS.MOVE_RIGHT, ACTIONS.SOFT_DROP];
+
+    /**
+     * 記録開始
+     * エンジンへの操作・tickはすべてこのレコーダー経由で行うこと
+     * @param {object} game createGameの戻り値
+     * @param {object} options ゲーム生成時の設定（seed, randomizer, rules, handling。再生時も同じ設定で作り直す）
+     * @param {{ticks: number, inputs: Array}} [log] 途中から続けて記録する場合の既存ログ
+     */
+    function createRecorder(game, options, log) {
+        const inputs = log ? log.inputs.slice() : [];
+        let ticks = log ? log.ticks : 0;
+        const held = {};
+        for (const [, action, pressed] of inputs) {
+            if (HELD_ACTIONS.includes(action)) held[action] = pressed;
+        }
+
+        function apply(action, pressed = true) {
+            if (!ACTION_CODES[action]) return;
+            inputs.push([ticks, action, pressed]);
+            if (HELD_ACTIONS.includes(action)) held[action] = pressed;
+            game.apply(action, pressed);
+        }
+
+        function tick() {
+            ticks++;
+            game.tick();
+        }
+
+        /**
+         * 押しっぱなしの操作をすべて解放
+         */
+        function releaseAll() {
+            for (const action of HELD_ACTIONS) {
+                if (held[action]) apply(action, false);
+            }
+        }
+
+        function toJSON() {
+            const state = game.getState();
+            return encode({
+                options: Object.assign({}, options),
+                ticks,
+                inputs,
+                score: state.score,
+                lines: state.lines
+            });
+        }
+
+        return { game, apply, tick, releaseAll, toJSON };
+    }
+
+    /**
+     * 保存用の形式へ変換（操作は直前の操作からのtick差分）
+     */
+    function encode(log) {
+        let prevTick = 0;
+        const inputs = log.inputs.map(([tick, action, pressed]) => {
+            const code = ACTION_CODES[action];
+            const entry = [tick - prevTick, pressed ? code : code.toLowerCase()];
+            prevTick = tick;
+            return entry;
+        });
+
+        return {
+            format: FORMAT,
+            version: VERSION,
+            date: new Date().toISOString(),
+            options: log.options,
+            score: log.score,
+            lines: log.lines,
+            ticks: log.ticks,
+            inputs
+        };
+    }
+
+    /**
+     * 保存形式を読み込み（不正な形式は例外）
+     * 各フレームの経過時間 dts に正規化して返す
+     */
+    function decode(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (!data || data.format !== FORMAT) {
+            throw new Error('Not a replay file');
+        }
+
+        if (data.version !== VERSION) {
+            throw new Error(`Unsupported replay version: ${data.version}`);
+        }
+        const dts = new Array(data.ticks).fill(TICK_MS);
+
+        let frame = 0;
+        const inputs = data.inputs.map(([delta, code]) => {
+            frame += delta;
+            const action = CODE_ACTIONS[code.toUpperCase()];
+            if (!action) throw new Error(`Unknown input code: ${code}`);
+            return [frame, action, code === code.toUpperCase()];
+        });
+
+        // 回転システムの記録がなければエンジンの既定（SRS）で再生する
+        const options = Object.assign({}, data.options);
+
+        return {
+            version: data.version,
+            options,
+            dts,
+            inputs,
+            score: data.score,
+            lines: data.lines,
+            date: data.date
+        };
+    }
+
+    /**
+     * 再生
+     * 一時停止・シーク・速度変更・途中からの引き継ぎに対応
+     */
+    function createPlayer(data) {
+        const log = decode(data);
+        const game = Engine.createGame(log.options);
+        const duration = log.dts.reduce((sum, dt) => sum + dt, 0);
+
+        let frame = 0;
+        let elapsed = 0;
+        let inputIndex = 0;
+        let clock = 0;
+        let speed = 1;
+        let playing = true;
+
+        /**
+         * 1フレーム進める
+         */
+        function stepFrame() {
+            while (inputIndex < log.inputs.length && log.inputs[inputIndex][0] === frame) {
+                const [, action, pressed] = log.inputs[inputIndex++];
+                game.apply(action, pressed);
+            }
+            game.step(log.dts[frame]);
+            elapsed += log.dts[frame];
+            frame++;
+        }
+
+        /**
+         * 実時間の経過に合わせて再生
+         */
+        function update(dt) {
+            if (!playing) return;
+
+            clock += dt * speed;
+            while (frame < log.dts.length && clock >= log.dts[frame]) {
+                clock -= log.dts[frame];
+                stepFrame();
+            }
+            if (frame >= log.dts.length) {
+                playing = false;
+                clock = 0;
+            }
+        }
+
+        /**
+         * 指定フレームへ移動（戻る場合は先頭から再実行）
+         */
+        function seek(target) {
+            target = Math.max(0, Math.min(log.dts.length, Math.floor(target)));
+            if (target < frame) {
+                game.reset(log.options);
+                frame = 0;
+                elapsed = 0;
+                inputIndex = 0;
+            }
+            while (frame < target) {
+                stepFrame();
+            }
+            clock = 0;
+        }
+
+        /**
+         * 現在位置からプレイヤー操作に切り替え
+         * これまでの記録を引き継いだレコーダーを返す
+         */
+        function takeOver() {
+            playing = false;
+            const recorder = createRecorder(game, log.options, {
+                ticks: frame,
+                inputs: log.inputs.slice(0, inputIndex)
+            });
+            // 再生中に押されていた操作はプレイヤーの入力と食い違うため解放しておく
+            recorder.releaseAll();
+            return recorder;
+        }
+
+        return {
+            game,
+            update,
+            seek,
+            takeOver,
+            play() {
+                if (frame >= log.dts.length) seek(0);
+                playing = true;
+            },
+            pause() {
+                playing = false;
+            },
+            isPlaying: () => playing,
+            setSpeed(value) {
+                speed = value;
+            },
+            getSpeed: () => speed,
+            getFrame: () => frame,
+            getLength: () => log.dts.length,
+            getTime: () => elapsed,
+            getDuration: () => duration,
+            getOptions: () => Object.assign({}, log.options)
+        };
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        ACTION_CODES,
+        createRecorder,
+        createPlayer,
+        encode,
+        decode
+    };
+});
@@ -0,0 +1,130 @@
+/**
+ * テトリス - 中断データ（1人用ゲームの途中保存と再開）
+ * エンジンの状態とここまでのリプレイを localStorage互換のストレージに1件だけ保存する
+ * 再開したゲームのリプレイは最初からの操作がつながったものになる
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'), require('./replay.js'));
+    } else {
+        root.TetrisSave = factory(root.TetrisEngine, root.TetrisReplay);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Engine, Replay) {
+    'use strict';
+
+    const FORMAT = 'tetris-save';
+    const VERSION = 1;
+    const STORAGE_KEY = 'tetrisSavedGame';
+
+    // 古い版の中断データを1つ新しい版の形へ変換する関数（キーは変換元の版）
+    // 形式を変えたら版を上げてここに追加する。変換できない版は読み込まずに捨てる
+    const MIGRATIONS = {};
+
+    /**
+     * レコーダーの記録中のゲームを保存用の形式へ
+     */
+    function encodeSave(recorder) {
+        const state = recorder.game.getState();
+        return {
+            format: FORMAT,
+            version: VERSION,
+            date: new Date().toISOString(),
+            mode: state.mode,
+            score: state.score,
+            lines: state.lines,
+            time: state.time,
+            replay: recorder.toJSON(),
+            snapshot: recorder.game.getSnapshot()
+        };
+    }
+
+    /**
+     * 保存形式を読み込み（古い版は変換。不正な形式・新しすぎる版は例外）
+     */
+    function decodeSave(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (!data || data.format !== FORMAT || typeof data.version !== 'number') {
+            throw new Error('Not a saved game');
+        }
+        while (data.version < VERSION) {
+            const migrate = MIGRATIONS[data.version];
+            if (!migrate) {
+                throw new Error(`Unsupported save version: ${data.version}`);
+            }
+            data = migrate(data);
+        }
+        if (data.version !== VERSION) {
+            throw new Error(`Unsupported save version: ${data.version}`);
+        }
+        if (!data.replay || !data.snapshot) {
+            throw new Error('Broken saved game');
+        }
+        return data;
+    }
+
+    /**
+     * 保存したところから再開（ここまでの記録を引き継いだレコーダーを返す）
+     */
+    function resumeGame(data) {
+        const save = decodeSave(data);
+        const log = Replay.decode(save.replay);
+        const game = Engine.createGame(log.options);
+        game.restoreSnapshot(save.snapshot);
+        const recorder = Replay.createRecorder(game, log.options, {
+            ticks: log.dts.length,
+            inputs: log.inputs
+        });
+        // 保存時に押していた操作は再開後のゲームでは離した扱いなので、記録もそろえる
+        recorder.releaseAll();
+        return recorder;
+    }
+
+    /**
+     * 中断データの保存先を作成
+     * @param {Storage} storage localStorage等（getItem/setItem/removeItem）
+     */
+    function createSaveStore(storage) {
+        /**
+         * 保存されている中断データ（なければnull。読めないデータは削除してnull）
+         */
+        function load() {
+            try {
+                const text = storage.getItem(STORAGE_KEY);
+                return text ? decodeSave(text) : null;
+            } catch (e) {
+                clear();
+                return null;
+            }
+        }
+
+        function save(recorder) {
+            try {
+                storage.setItem(STORAGE_KEY, JSON.stringify(encodeSave(recorder)));
+            } catch (e) {
+                // ストレージ使用不可・容量超過の場合は保存しない
+            }
+        }
+
+        function clear() {
+            try {
+                storage.removeItem(STORAGE_KEY);
+            } catch (e) {
+                // ストレージ使用不可の場合は無視
+            }
+        }
+
+        return { load, save, clear };
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        encodeSave,
+        decodeSave,
+        resumeGame,
+        createSaveStore
+    };
+});
@@ -1,158 +1,296 @@
 /**
  * テトリス - ガイドライン準拠実装
  * バニラJS + HTML5 Canvas
+ * ルールは engine.js (TetrisEngine)、このファイルは描画・入力・UIのクライアント
  */
 
 (function() {
     'use strict';
 
-    // ===== 定数定義 =====
-    const CELL_SIZE = 24;
-    const COLS = 10;
-    const ROWS = 20;
-    const SPAWN_ROW = 2;
-    const CANVAS_WIDTH = COLS * CELL_SIZE;
-    const CANVAS_HEIGHT = ROWS * CELL_SIZE;
-
-    // DAS/ARR設定
-    const DAS_DELAY = 150; // ms
-    const ARR_DELAY = 33; // ms
-    const SOFT_DROP_MULTIPLIER = 20;
-    const LOCK_DELAY = 500; // ms
-    const MAX_LOCK_RESETS = 15;
-
-    // スコア定数
-    const SCORES = {
-        SINGLE: 100,
-        DOUBLE: 300,
-        TRIPLE: 500,
-        TETRIS: 800,
-        TSPIN_MINI: 100,
-        TSPIN_MINI_DOUBLE: 200,
-        TSPIN_SINGLE: 800,
-        TSPIN_DOUBLE: 1200,
-        TSPIN_TRIPLE: 1600,
-        SOFT_DROP: 1,
-        HARD_DROP: 2,
-        B2B_MULTIPLIER: 1.5,
-        COMBO_BONUS: 50
-    };
-
-    // レベル別重力速度（フレーム数）
-    const LEVEL_SPEEDS = [
-        1000, 793, 618, 473, 355, 262, 190, 135, 94, 64,
-        43, 28, 18, 11, 7, 4, 3, 2, 1, 1
-    ];
-
-    // ボード上の玉の数による速度補正率
-    const BALL_SPEED_FACTOR = 0.05;
-
-    // テトロミノ定義
-    const TETROMINOS = {
-        I: { color: '#00f0f0', matrix: [[1,1,1,1]] },
-        O: { color: '#f0f000', matrix: [[1,1],[1,1]] },
-        T: { color: '#a000f0', matrix: [[0,1,0],[1,1,1]] },
-        S: { color: '#00f000', matrix: [[0,1,1],[1,1,0]] },
-        Z: { color: '#f00000', matrix: [[1,1,0],[0,1,1]] },
-        J: { color: '#0000f0', matrix: [[1,0,0],[1,1,1]] },
-        L: { color: '#f0a000', matrix: [[0,0,1],[1,1,1]] }
-    };
-
-    const PIECE_TYPES = ['I', 'O', 'T', 'S', 'Z', 'J', 'L'];
-
-    // SRS回転システム - キックテーブル
-    const SRS_KICKS = {
-        STANDARD: {
-            '0->1': [[-1,0], [-1,-1], [0,2], [-1,2]],
-            '1->0': [[1,0], [1,1], [0,-2], [1,-2]],
-            '1->2': [[1,0], [1,1], [0,-2], [1,-2]],
-            '2->1': [[-1,0], [-1,-1], [0,2], [-1,2]],
-            '2->3': [[1,0], [1,-1], [0,2], [1,2]],
-            '3->2': [[-1,0], [-1,1], [0,-2], [-1,-2]],
-            '3->0': [[-1,0], [-1,1], [0,-2], [-1,-2]],
-            '0->3': [[1,0], [1,-1], [0,2], [1,2]]
+    const Engine = window.TetrisEngine;
+    const Randomizer = window.TetrisRandomizer;
+    const Replay = window.TetrisReplay;
+    const Modes = window.TetrisModes;
+    const Records = window.TetrisRecords;
+    const Profile = window.TetrisProfile;
+    const Save = window.TetrisSave;
+    const Puzzle = window.TetrisPuzzle;
+    const Practice = window.TetrisPractice;
+    const Openers = window.TetrisOpeners;
+    const Versus = window.TetrisVersus;
+    const Net = window.TetrisNet;
+    const Bot = window.TetrisBot;
+    const Settings = window.TetrisSettings;
+    const Gamepad = window.TetrisGamepad;
+    const Touch = window.TetrisTouch;
+    const { COLS, ROWS, TETROMINOS, ACTIONS } = Engine;
+
+    // 対戦時のキー割り当て（e.code で判定。[1P, 2P]）
+    const VERSUS_KEY_ACTIONS = [
+        {
+            KeyA: ACTIONS.MOVE_LEFT,
+            KeyD: ACTIONS.MOVE_RIGHT,
+            KeyS: ACTIONS.SOFT_DROP,
+            KeyW: ACTIONS.HARD_DROP,
+            KeyQ: ACTIONS.ROTATE_CCW,
+            KeyE: ACTIONS.ROTATE_CW,
+            KeyR: ACTIONS.ROTATE_180,
+            ShiftLeft: ACTIONS.HOLD
         },
-        I: {
-            '0->1': [[-2,0], [1,0], [-2,1], [1,-2]],
-            '1->0': [[2,0], [-1,0], [2,-1], [-1,2]],
-            '1->2': [[-1,0], [2,0], [-1,-2], [2,1]],
-            '2->1': [[1,0], [-2,0], [1,2], [-2,-1]],
-            '2->3': [[2,0], [-1,0], [2,-1], [-1,2]],
-            '3->2': [[-2,0], [1,0], [-2,1], [1,-2]],
-            '3->0': [[1,0], [-2,0], [1,2], [-2,-1]],
-            '0->3': [[-1,0], [2,0], [-1,-2], [2,1]]
+        {
+            ArrowLeft: ACTIONS.MOVE_LEFT,
+            ArrowRight: ACTIONS.MOVE_RIGHT,
+            ArrowDown: ACTIONS.SOFT_DROP,
+            ArrowUp: ACTIONS.HARD_DROP,
+            Comma: ACTIONS.ROTATE_CCW,
+            Period: ACTIONS.ROTATE_CW,
+            Slash: ACTIONS.ROTATE_180,
+            ShiftRight: ACTIONS.HOLD
         }
-    };
+    ];
 
-    // ===== ゲーム状態 =====
-    let gameState = {
-        board: new Uint8Array(ROWS * COLS),
-        currentPiece: null,
-        holdPiece: null,
-        canHold: true,
-        nextPieces: [],
-        bag: [],
-        score: 0,
-        highScore: 0,
-        level: 1,
-        lines: 0,
-        combo: -1,
-        b2b: false,
-        lastWasSpecial: false,
-        gameOver: false,
-        paused: false,
-        dropTimer: 0,
-        lockTimer: 0,
-        lockResets: 0,
-        isLocked: false
+    // ===== ゲーム =====
+    let game;
+    let gameState;
+    let highScore = 0;
+    let unbindGame = [];
+
+    // モード選択メニュー
+    let selectedMode = Modes.DEFAULT_MODE;
+    let menuOpen = false;
+    let menuIndex = 0;
+
+    // モード別ハイスコア表
+    let records;
+
+    // 中断データ（1人用ゲームの途中保存）
+    let saves;
+
+    // プロフィール（終了したゲームの履歴。開き終わるまでnull）と記録に付ける名前
+    let gameHistory = null;
+    let playerName = 'PLAYER';
+    let profileOpen = false;
+
+    // 盤面エディタ（editBrush: 塗る色インデックス、0 = 消す）
+    let editorOpen = false;
+    let editPosition = null;
+    let editBrush = 1;
+    // 編集中と、シード未指定で遊ぶ問題のシード（やり直しても同じピースが続く）
+    let editorSeed = '';
+
+    // リプレイ（記録中のレコーダー / 再生中のプレイヤー）
+    let recorder = null;
+    let player = null;
+    let lastReplay = null;
+    let muted = false;
+
+    // 練習モードの手順（アンドゥ・リドゥ）
+    let practice = null;
+
+    // 開幕練習で組む開幕のidと、開幕ごとの挑戦の記録
+    let openerId = null;
+    let openerStats = null;
+
+    // スプリント自己ベスト { time, splits }（更新直前の記録も結果画面の比較用に保持）
+    let sprintBest = null;
+    let previousSprintBest = null;
+
+    // 対戦（ローカル2人対戦 / オンライン対戦中のみ）と、CPU戦で2Pを操作するボット
+    let match = null;
+    let cpuBot = null;
+
+    // タイトル（モード選択メニュー）の背景でボットが遊ぶデモ { game, bot }
+    let attract = null;
+
+    // 操作設定（キー・ゲームパッドの割り当て、DAS/ARR/SDF）
+    let settings;
+    let keyMap = {};
+    let padMap = {};
+    let settingsOpen = false;
+    // 入力待ちの割り当て（設定画面。{ action, device: 'key' | 'pad' }）
+    let binding = null;
+
+    // ゲームパッド（Gamepad API 非対応なら null）
+    let gamepad = null;
+
+    // 盤面のタッチジェスチャー
+    let gestures = null;
+
+    // 消去・スピン名、パーフェクトクリアの表示を消すタイマー
+    let actionTextTimer = null;
+    let perfectClearTimer = null;
+    const ACTION_TEXT_TIME = 1500; // ms
+    const CLEAR_NAMES = ['', 'SINGLE', 'DOUBLE', 'TRIPLE', 'TETRIS'];
+
+    // フィネスの最短操作の表記（⇐⇒ はDAS）
+    const FINESSE_KEY_LABELS = {
+        left: '←',
+        right: '→',
+        dasLeft: '⇐',
+        dasRight: '⇒',
+        cw: '↻',
+        ccw: '↺',
+        180: '180'
     };
 
-    // 入力状態
-    let input = {
-        keys: {},
-        leftTime: 0,
-        rightTime: 0,
-        downTime: 0,
-        leftPressed: false,
-        rightPressed: false,
-        downPressed: false
-    };
+    // 統計パネルの表示（前回値を復元）
+    let statsVisible = false;
+
+    // ヒント（ボットの最善手）の表示
+    let hintVisible = false;
+    let hint = null;
+    let hintPiece = null;
 
-    // Canvas要素
-    let gameCanvas, gameCtx, holdCanvas, holdCtx, nextCanvas, nextCtx;
+    // 盤面・ホールド・ネクストのCanvas一式（自分 / 対戦相手）
+    let mainView, opponentView;
     let lastTime = 0;
     let animationId;
 
+    // 固定ステップ用の未処理時間（補間描画用の直前tickのピース位置は各ビューが持つ）
+    const MAX_FRAME_TIME = 250; // ms（タブ復帰時などの巨大なdtを切り詰める）
+    let accumulator = 0;
+
     /**
      * ゲーム初期化
      */
     function init() {
-        // Canvas要素取得
-        gameCanvas = document.getElementById('gameCanvas');
-        gameCtx = gameCanvas.getContext('2d');
-        holdCanvas = document.getElementById('holdCanvas');
-        holdCtx = holdCanvas.getContext('2d');
-        nextCanvas = document.getElementById('nextCanvas');
-        nextCtx = nextCanvas.getContext('2d');
-
-        // 高DPI対応
-        setupHighDPI(gameCanvas, gameCtx);
-        setupHighDPI(holdCanvas, holdCtx);
-        setupHighDPI(nextCanvas, nextCtx);
+        // Canvas要素取得・高DPI対応（対戦相手の盤面は表示時に合わせる）
+        mainView = createView('');
+        opponentView = createView('2');
+        setupViewDPI(mainView);
 
         // イベントリスナー設定
         setupEventListeners();
 
-        // ハイスコア読み込み
-        loadHighScore();
-
-        // ゲームリセット
-        reset();
+        // ピース生成器の選択肢
+        setupGeneratorOptions();
+
+        // 操作設定読み込み
+        settings = Settings.createSettingsStore(getStorage());
+        keyMap = settings.getKeyMap();
+        padMap = settings.getPadMap();
+        setupSettingsPanel();
+        setupStatsPanel();
+        setupPracticePanel();
+        updateKeyGuide();
+        setupGamepad();
+        setupTouchControls();
+
+        // ハイスコア・自己ベスト読み込み
+        records = Records.createRecordStore(getStorage());
+        loadSprintBest();
+        setupProfile();
+        saves = Save.createSaveStore(getStorage());
+        setupOpenerPanel();
+        setupEditor();
+
+        // ゲーム生成（開始はモード選択後）
+        setGame(Engine.createGame(getGameOptions()));
+        setupModeMenu();
+        showModeMenu();
 
         // ゲームループ開始
         gameLoop(0);
     }
 
+    /**
+     * 盤面描画用のCanvas一式（idの末尾 suffix で1P/2Pを区別）
+     */
+    function createView(suffix) {
+        const view = { game: null, previousPiece: { piece: null, y: 0 }, particles: [] };
+        for (const name of ['game', 'hold', 'next']) {
+            const canvas = document.getElementById(`${name}Canvas${suffix}`);
+            view[`${name}Canvas`] = canvas;
+            view[`${name}Ctx`] = canvas.getContext('2d');
+        }
+        return view;
+    }
+
+    function setupViewDPI(view) {
+        setupHighDPI(view.gameCanvas, view.gameCtx);
+        setupHighDPI(view.holdCanvas, view.holdCtx);
+        setupHighDPI(view.nextCanvas, view.nextCtx);
+    }
+
+    /**
+     * 表示・操作対象のゲームを切り替え、エンジンイベントを購読
+     */
+    function setGame(newGame) {
+        unbindGame.forEach(unbind => unbind());
+        if (practice) {
+            practice.dispose();
+            practice = null;
+        }
+        game = newGame;
+        gameState = game.getState();
+        mainView.game = game;
+
+        unbindGame = [
+            game.on('lineClear', clear => {
+                playSound('lineClear');
+                spawnClearParticles(mainView, clear.rows);
+                showActionText(clear);
+                if (clear.perfectClear) showPerfectClear();
+            }),
+            game.on('spin', ({ spin, mini }) => showActionText({ lines: 0, spin, mini, b2b: false, combo: 0 })),
+            game.on('pcRound', ({ success }) => {
+                if (!success) setActionText('PC FAILED', 'もう一度', false);
+            }),
+            game.on('finesse', showFinesseFault),
+            game.on('guide', ({ success }) => {
+                if (!success) setActionText('MISS', 'ガイドと違う位置', false);
+            }),
+            game.on('lock', () => playSound('lock')),
+            game.on('hardDrop', () => playSound('hardDrop')),
+            game.on('hold', () => playSound('hold')),
+            game.on('pause', ({ paused }) => {
+                if (paused) {
+                    saveGame();
+                    showPauseOverlay();
+                } else {
+                    hidePauseOverlay();
+                }
+            }),
+            game.on('gameOver', () => {
+                playSound('gameOver');
+                if (player || match) return;
+                lastReplay = recorder.toJSON();
+                saves.clear();
+                recordGame(false);
+                recordOpener(false);
+                showGameOverOverlay(submitRecord(false));
+            }),
+            game.on('finish', result => {
+                playSound('lineClear');
+                if (player || match) return;
+                lastReplay = recorder.toJSON();
+                saves.clear();
+                recordGame(true);
+                recordOpener(true);
+                const isRecord = gameState.mode === 'sprint' && saveSprintBest(result);
+                showFinishOverlay(result, isRecord, submitRecord(true));
+            })
+        ];
+    }
+
+    /**
+     * 操作をエンジンへ（記録しながら）渡す。再生中は無視
+     * 対戦中は1Pの操作として渡す（ポーズは両者）
+     */
+    function applyAction(action, pressed = true) {
+        if (player || menuOpen || !action) return;
+        if (match) {
+            if (action !== ACTIONS.PAUSE) {
+                match.apply(0, action, pressed);
+            } else if (pressed) {
+                match.togglePause();
+            }
+            return;
+        }
+        if (!recorder) return;
+        recorder.apply(action, pressed);
+    }
+
     /**
      * 高DPI対応設定
      */
@@ -174,10 +312,9 @@
 
 // Resize handler to re-sync DPI and redraw
 function handleResize() {
-    if (!gameCanvas || !gameCtx || !holdCanvas || !holdCtx || !nextCanvas || !nextCtx) return;
-    setupHighDPI(gameCanvas, gameCtx);
-    setupHighDPI(holdCanvas, holdCtx);
-    setupHighDPI(nextCanvas, nextCtx);
+    if (!mainView) return;
+    setupViewDPI(mainView);
+    if (match) setupViewDPI(opponentView);
     render();
 }
 
@@ -191,10 +328,10 @@ function handleResize() {
         document.addEventListener('keyup', handleKeyUp);
 
         // モバイルボタン
-        function bindButton(id, key) {
+        function bindButton(id, action) {
             const btn = document.getElementById(id);
-            const start = e => { e.preventDefault(); simulateKey(key, true); };
-            const end = e => { e.preventDefault(); simulateKey(key, false); };
+            const start = e => { e.preventDefault(); applyAction(action, true); };
+            const end = e => { e.preventDefault(); applyAction(action, false); };
             btn.addEventListener('touchstart', start, { passive: false });
             btn.addEventListener('touchend', end);
             btn.addEventListener('mousedown', start);
@@ -207,911 +344,2628 @@ function handleResize() {
             btn.addEventListener('touchstart', tap, { passive: false });
             btn.addEventListener('click', tap);
         }
-        bindButton('leftBtn', 'ArrowLeft');
-        bindButton('rightBtn', 'ArrowRight');
-        bindButton('downBtn', 'ArrowDown');
-        bindTap('rotateBtn', () => rotatePiece(1));
-        bindTap('holdBtn', holdCurrentPiece);
-        bindTap('hardDropBtn', hardDrop);
-        bindTap('pauseBtn', togglePause);
+        bindButton('leftBtn', ACTIONS.MOVE_LEFT);
+        bindButton('rightBtn', ACTIONS.MOVE_RIGHT);
+        bindButton('downBtn', ACTIONS.SOFT_DROP);
+        bindTap('rotateBtn', () => applyAction(ACTIONS.ROTATE_CW));
+        bindTap('rotateCcwBtn', () => applyAction(ACTIONS.ROTATE_CCW));
+        bindTap('rotate180Btn', () => applyAction(ACTIONS.ROTATE_180));
+        bindTap('holdBtn', () => applyAction(ACTIONS.HOLD));
+        bindTap('hardDropBtn', () => applyAction(ACTIONS.HARD_DROP));
+        bindTap('pauseBtn', () => applyAction(ACTIONS.PAUSE));
         bindTap('resetBtn', reset);
 
+        // リプレイ
+        setupReplayControls();
+
         // マウスイベント防止
         document.addEventListener('contextmenu', e => e.preventDefault());
     
+        // タブが隠れたら自動ポーズ
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && !player && !gameState.paused && !gameState.gameOver) {
+                applyAction(ACTIONS.PAUSE);
+            }
+        });
+
+        // フォーカスを失ったとき・閉じる前に途中のゲームを保存
+        window.addEventListener('blur', saveGame);
+        window.addEventListener('beforeunload', saveGame);
+    
 // 画面サイズ・向きの変化に追従
 window.addEventListener('resize', handleResize, { passive: true });
 window.addEventListener('orientationchange', handleResize);
 }
 
     /**
-     * モバイルボタン用キーシミュレーション
+     * ピース生成器・回転システム・スピン判定・重力のセレクトとシード入力の初期化（URLの ?seed=&randomizer=&rotation=&spin=&gravity=&level= を反映）
      */
-    function simulateKey(key, pressed) {
-        input.keys[key] = pressed;
-        if (key === 'ArrowLeft') {
-            if (pressed && !input.leftPressed) {
-                movePiece(-1);
-                input.leftTime = 0;
-            }
-            input.leftPressed = pressed;
-            if (!pressed) input.leftTime = 0;
-        } else if (key === 'ArrowRight') {
-            if (pressed && !input.rightPressed) {
-                movePiece(1);
-                input.rightTime = 0;
-            }
-            input.rightPressed = pressed;
-            if (!pressed) input.rightTime = 0;
-        } else if (key === 'ArrowDown') {
-            if (pressed && !input.downPressed) {
-                input.downTime = ARR_DELAY;
-            }
-            input.downPressed = pressed;
-            if (!pressed) input.downTime = 0;
-        }
+    function setupGeneratorOptions() {
+        const params = new URLSearchParams(window.location.search);
+        setupSelect('randomizerSelect', Randomizer.GENERATORS, params.get('randomizer'), Randomizer.DEFAULT_GENERATOR);
+        setupSelect('rotationSelect', Engine.ROTATION_SYSTEMS, params.get('rotation'), Engine.DEFAULT_ROTATION_SYSTEM);
+        setupSelect('spinSelect', Engine.SPIN_RULES, params.get('spin'), Engine.DEFAULT_SPIN_RULE);
+        setupSelect('gravitySelect', Engine.GRAVITY_CURVES, params.get('gravity'), Engine.DEFAULT_GRAVITY_CURVE);
+        const levels = {};
+        for (let level = 1; level <= Engine.MAX_START_LEVEL; level++) levels[level] = String(level);
+        setupSelect('levelSelect', levels, params.get('level'), '1');
+        document.getElementById('seedInput').value = params.get('seed') || '';
+        const modeName = params.get('mode');
+        if (Modes.MODES[modeName]) selectedMode = modeName;
     }
 
     /**
-     * キーダウンハンドラ
+     * 選択肢（値 → 表示名）からセレクトを作る。value が選択肢になければ既定値
      */
-    function handleKeyDown(e) {
-        if (gameState.gameOver && e.key !== 'r') return;
-        if (gameState.paused && e.key !== 'p') return;
-
-        input.keys[e.key] = true;
-
-        switch(e.key) {
-            case 'ArrowLeft':
-                e.preventDefault();
-                if (!input.leftPressed) {
-                    movePiece(-1);
-                    input.leftPressed = true;
-                    input.leftTime = 0;
-                }
-                break;
-            case 'ArrowRight':
-                e.preventDefault();
-                if (!input.rightPressed) {
-                    movePiece(1);
-                    input.rightPressed = true;
-                    input.rightTime = 0;
-                }
-                break;
-            case 'ArrowDown':
-                e.preventDefault();
-                if (!input.downPressed) {
-                    input.downPressed = true;
-                    input.downTime = ARR_DELAY;
-                }
-                break;
-            case 'z':
-                rotatePiece(-1);
-                break;
-            case 'x':
-                rotatePiece(1);
-                break;
-            case 'a':
-                rotatePiece(2);
-                break;
-            case ' ':
-                e.preventDefault();
-                hardDrop();
-                break;
-            case 'c':
-                holdCurrentPiece();
-                break;
-            case 'p':
-                togglePause();
-                break;
-            case 'r':
-                reset();
-                break;
+    function setupSelect(id, choices, value, defaultValue) {
+        const select = document.getElementById(id);
+        for (const [type, label] of Object.entries(choices)) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = label;
+            select.appendChild(option);
         }
+        select.value = choices[value] ? value : defaultValue;
+
+        // 選択後にフォーカスが残るとキー操作を奪うため外す
+        select.addEventListener('change', () => select.blur());
     }
 
     /**
-     * キーアップハンドラ
+     * 次のゲームの設定（シード空欄ならランダム）
      */
-    function handleKeyUp(e) {
-        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'ArrowDown') {
-            e.preventDefault();
+    function getGameOptions() {
+        const options = {
+            seed: document.getElementById('seedInput').value.trim(),
+            randomizer: document.getElementById('randomizerSelect').value,
+            rotationSystem: document.getElementById('rotationSelect').value,
+            spinRule: document.getElementById('spinSelect').value,
+            gravityCurve: document.getElementById('gravitySelect').value,
+            startLevel: Number(document.getElementById('levelSelect').value),
+            mode: selectedMode,
+            handling: settings.getHandling()
+        };
+        if (Modes.getRules(selectedMode).garbageGoal) {
+            options.rules = { garbageMessiness: getDigMessiness() };
         }
-        input.keys[e.key] = false;
-
-        switch(e.key) {
-            case 'ArrowLeft':
-                input.leftPressed = false;
-                input.leftTime = 0;
-                break;
-            case 'ArrowRight':
-                input.rightPressed = false;
-                input.rightTime = 0;
-                break;
-            case 'ArrowDown':
-                input.downPressed = false;
-                input.downTime = 0;
-                break;
+        if (Modes.getMode(selectedMode).editor) {
+            Object.assign(options, Puzzle.toGameOptions(editPosition));
+            if (!options.seed) options.seed = editorSeed;
+        }
+        if (Modes.getMode(selectedMode).opener) {
+            Object.assign(options, Openers.toGameOptions(Openers.getOpener(openerId)));
         }
+        return options;
     }
 
     /**
-     * ゲームリセット
+     * 掘りモードの穴変化率（メニューのスライダー、0〜1）
      */
-    function reset() {
-        gameState.board.fill(0);
-        gameState.currentPiece = null;
-        gameState.holdPiece = null;
-        gameState.canHold = true;
-        gameState.nextPieces = [];
-        gameState.bag = [];
-        gameState.score = 0;
-        gameState.level = 1;
-        gameState.lines = 0;
-        gameState.combo = -1;
-        gameState.b2b = false;
-        gameState.lastWasSpecial = false;
-        gameState.gameOver = false;
-        gameState.paused = false;
-        gameState.dropTimer = 0;
-        gameState.lockTimer = 0;
-        gameState.lockResets = 0;
-        gameState.isLocked = false;
-
-        // 初期ピース生成
-        for (let i = 0; i < 5; i++) {
-            gameState.nextPieces.push(getNextPiece());
-        }
-
-        spawnPiece();
-        updateUI();
-        hideOverlays();
+    function getDigMessiness() {
+        return Number(document.getElementById('digMessiness').value) / 100;
     }
 
     /**
-     * 7バッグランダムシステム
+     * テキスト入力中かどうか
      */
-    function getNextPiece() {
-        if (gameState.bag.length === 0) {
-            gameState.bag = [...PIECE_TYPES];
-            shuffle(gameState.bag);
-        }
-        return gameState.bag.pop();
+    function isEditingText(target) {
+        return target instanceof HTMLInputElement || target instanceof HTMLSelectElement;
     }
 
     /**
-     * 配列シャッフル
+     * キーダウンハンドラ
      */
-    function shuffle(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
+    function handleKeyDown(e) {
+        if (isEditingText(e.target)) {
+            if (e.key === 'Enter') e.target.blur();
+            return;
+        }
+        if (profileOpen) {
+            if (e.key === 'Escape') hideProfilePanel();
+            return;
+        }
+        if (editorOpen) {
+            if (e.key === 'Escape') showModeMenu();
+            return;
+        }
+        if (settingsOpen) {
+            handleSettingsKey(e);
+            return;
+        }
+        if (player) {
+            handlePlaybackKey(e);
+            return;
         }
+        if (menuOpen) {
+            handleMenuKey(e);
+            return;
+        }
+        const action = keyMap[Settings.normalizeKey(e.key)];
+        // OSのキーリピートは押しっぱなしのまま（連射はエンジンのDAS/ARRで行う）
+        if (e.repeat) {
+            if (action) e.preventDefault();
+            return;
+        }
+        if (e.key === 'Escape' || action === Settings.CLIENT_ACTIONS.MENU) {
+            showModeMenu();
+            return;
+        }
+        if (match) {
+            handleVersusKey(e, true);
+            return;
+        }
+        if (!action) return;
+        // 割り当て済みのキーはスクロール等のブラウザ既定動作を止める
+        e.preventDefault();
+        handleGameAction(action, true);
     }
 
     /**
-     * ピース生成
+     * キーアップハンドラ
      */
-    function spawnPiece() {
-        const pieceType = gameState.nextPieces.shift();
-        gameState.nextPieces.push(getNextPiece());
-
-        const x = Math.floor(COLS / 2) - 2;
-        const y = -SPAWN_ROW;
-
-        gameState.currentPiece = {
-            type: pieceType,
-            x: x,
-            y: y,
-            rotation: 0
-        };
-
-        gameState.canHold = true;
-        gameState.lockTimer = 0;
-        gameState.lockResets = 0;
-        gameState.isLocked = false;
-
-        // スポーン時衝突チェック（ゲームオーバー）
-        if (!isValidPosition(x, y, 0, pieceType)) {
-            gameState.gameOver = true;
-            saveHighScore();
-            showGameOverOverlay();
-            playSound('gameOver');
+    function handleKeyUp(e) {
+        if (isEditingText(e.target)) return;
+        if (match) {
+            handleVersusKey(e, false);
+            return;
         }
+        const action = keyMap[Settings.normalizeKey(e.key)];
+        if (!action || !isEngineAction(action)) return;
+        e.preventDefault();
+        handleGameAction(action, false);
     }
 
     /**
-     * 有効位置チェック
+     * 1人用の操作（キーボード・ゲームパッド共通）
      */
-    function isValidPosition(x, y, rotation, pieceType) {
-        const matrix = getRotatedMatrix(pieceType || gameState.currentPiece.type, rotation);
-        
-        for (let py = 0; py < matrix.length; py++) {
-            for (let px = 0; px < matrix[py].length; px++) {
-                if (matrix[py][px]) {
-                    const nx = x + px;
-                    const ny = y + py;
-                    
-                    if (nx < 0 || nx >= COLS || ny >= ROWS) {
-                        return false;
-                    }
-                    
-                    if (ny >= 0 && gameState.board[ny * COLS + nx]) {
-                        return false;
-                    }
-                }
-            }
+    function handleGameAction(action, pressed) {
+        if (!pressed) {
+            if (isEngineAction(action)) applyAction(action, false);
+            return;
         }
-        return true;
-    }
+        if (PRACTICE_ACTIONS.includes(action)) {
+            if (!gameState.paused) handlePracticeAction(action);
+            return;
+        }
+        if ((gameState.gameOver || gameState.finished) && action !== Settings.CLIENT_ACTIONS.RESET) return;
+        if (gameState.paused && action !== ACTIONS.PAUSE) return;
 
-    /**
-     * 回転したマトリクスを取得
-     */
-    function getRotatedMatrix(pieceType, rotation) {
-        const matrix = TETROMINOS[pieceType].matrix;
-        let rotated = matrix;
-        
-        for (let i = 0; i < rotation; i++) {
-            rotated = rotateMatrixCW(rotated);
+        if (action === Settings.CLIENT_ACTIONS.RESET) {
+            reset();
+            return;
         }
-        
-        return rotated;
+        if (action === Settings.CLIENT_ACTIONS.HINT) {
+            hintVisible = !hintVisible;
+            return;
+        }
+
+        applyAction(action, true);
     }
 
     /**
-     * マトリクス時計回り回転
+     * エンジンに渡す操作かどうか（リセット・ヒント・メニューは画面側）
      */
-    function rotateMatrixCW(matrix) {
-        const rows = matrix.length;
-        const cols = matrix[0].length;
-        const rotated = [];
-        
-        for (let x = 0; x < cols; x++) {
-            rotated[x] = [];
-            for (let y = 0; y < rows; y++) {
-                rotated[x][y] = matrix[rows - 1 - y][x];
-            }
-        }
-        
-        return rotated;
+    function isEngineAction(action) {
+        return Object.values(ACTIONS).includes(action);
     }
 
     /**
-     * ピース移動
+     * 対戦中のキー操作（1P/2Pのキーを振り分け。ポーズ: 両者ポーズ, 決着後リセット: 再戦）
      */
-    function movePiece(dx) {
-        if (!gameState.currentPiece || gameState.gameOver || gameState.paused) return;
-
-        const newX = gameState.currentPiece.x + dx;
-        if (isValidPosition(newX, gameState.currentPiece.y, gameState.currentPiece.rotation)) {
-            gameState.currentPiece.x = newX;
-            if (gameState.isLocked) {
-                resetLockTimer();
+    function handleVersusKey(e, pressed) {
+        const action = keyMap[Settings.normalizeKey(e.key)];
+        if (match.isOver()) {
+            if (pressed && action === Settings.CLIENT_ACTIONS.RESET) restartMatch();
+            return;
+        }
+        if (match.online || cpuBot) {
+            // オンライン・CPU戦は1人用と同じキー（オンラインはポーズなし）
+            if (action && isEngineAction(action) && action !== ACTIONS.PAUSE) {
+                e.preventDefault();
+                match.apply(0, action, pressed);
             }
+            return;
         }
-    }
-
-    /**
-     * ピース回転
-     */
-    function rotatePiece(direction) {
-        if (!gameState.currentPiece || gameState.gameOver || gameState.paused) return;
-
-        const piece = gameState.currentPiece;
-        let newRotation = (piece.rotation + direction + 4) % 4;
-        
-        if (direction === 2) { // 180度回転
-            newRotation = (piece.rotation + 2) % 4;
+        if (action === ACTIONS.PAUSE) {
+            if (pressed) match.togglePause();
+            return;
         }
-
-        // SRSキックテスト
-        const kickTable = piece.type === 'I' ? SRS_KICKS.I : SRS_KICKS.STANDARD;
-        const kickKey = `${piece.rotation}->${newRotation}`;
-        const kicks = kickTable[kickKey] || [[0, 0]];
-
-        for (let [dx, dy] of [[0, 0], ...kicks]) {
-            const testX = piece.x + dx;
-            const testY = piece.y + dy;
-            
-            if (isValidPosition(testX, testY, newRotation)) {
-                piece.x = testX;
-                piece.y = testY;
-                piece.rotation = newRotation;
-                if (gameState.isLocked) {
-                    resetLockTimer();
-                }
+        for (let i = 0; i < VERSUS_KEY_ACTIONS.length; i++) {
+            const versusAction = VERSUS_KEY_ACTIONS[i][e.code];
+            if (versusAction) {
+                e.preventDefault();
+                match.apply(i, versusAction, pressed);
                 return;
             }
         }
     }
 
     /**
-     * ロックタイマーリセット
+     * ゲームリセット
      */
-    function resetLockTimer() {
-        if (gameState.lockResets < MAX_LOCK_RESETS) {
-            gameState.lockTimer = 0;
-            gameState.lockResets++;
-            gameState.isLocked = false;
+    function reset() {
+        player = null;
+        hideReplayBar();
+        hideModeMenu();
+        hideEditor();
+        accumulator = 0;
+        const mode = Modes.getMode(selectedMode);
+        if (mode.players === 2) {
+            if (mode.online) {
+                startOnlineMatch();
+            } else {
+                startMatch();
+            }
+            return;
         }
+        endMatch();
+        // 新しいゲームを始めたら中断していたゲームは破棄
+        saves.clear();
+        startPracticeHistory();
+        const options = getGameOptions();
+        game.reset(options);
+        highScore = getModeHighScore(selectedMode);
+        recorder = Replay.createRecorder(game, Object.assign({}, options, {
+            seed: gameState.seed,
+            randomizer: gameState.randomizer,
+            rotationSystem: gameState.rotationSystem,
+            spinRule: gameState.spinRule,
+            gravityCurve: gameState.gravityCurve,
+            startLevel: gameState.startLevel
+        }));
+        updateUI();
+        hideOverlays();
     }
 
     /**
-     * ハードドロップ
+     * 決着後の再戦（オンラインは相手の同意を待つ）
      */
-    function hardDrop() {
-        if (!gameState.currentPiece || gameState.gameOver || gameState.paused) return;
-
-        const piece = gameState.currentPiece;
-        let dropDistance = 0;
-        
-        while (isValidPosition(piece.x, piece.y + 1, piece.rotation)) {
-            piece.y++;
-            dropDistance++;
+    function restartMatch() {
+        if (!match.online) {
+            reset();
+            return;
+        }
+        if (match.getStatus() === Net.STATUS.ENDED) {
+            match.requestRematch();
+            showOnlineStatus('REMATCH', '相手の再戦希望を待っています');
+        } else if (match.getStatus() === Net.STATUS.CLOSED) {
+            reset();
         }
-
-        gameState.score += dropDistance * SCORES.HARD_DROP;
-        gameState.canHold = false;
-        lockPiece();
-        playSound('hardDrop');
     }
 
     /**
-     * ホールド処理
+     * ローカル対戦を開始（再戦も同じ）
      */
-    function holdCurrentPiece() {
-        if (!gameState.currentPiece || !gameState.canHold || gameState.gameOver || gameState.paused) return;
-
-        const currentType = gameState.currentPiece.type;
-        
-        if (gameState.holdPiece) {
-            // ホールドピースと交換
-            const x = Math.floor(COLS / 2) - 2;
-            const y = -SPAWN_ROW;
-            
-            gameState.currentPiece = {
-                type: gameState.holdPiece,
-                x: x,
-                y: y,
-                rotation: 0
-            };
-        } else {
-            // 新しいピース生成
-            spawnPiece();
+    function startMatch() {
+        endMatch();
+        const options = getGameOptions();
+        match = Versus.createMatch({
+            seed: options.seed,
+            randomizer: options.randomizer,
+            rotationSystem: options.rotationSystem,
+            spinRule: options.spinRule,
+            gravityCurve: options.gravityCurve,
+            handling: options.handling
+        });
+        match.on('end', ({ winner }) => showMatchResult(winner));
+        recorder = null;
+        setGame(match.players[0].game);
+        opponentView.game = match.players[1].game;
+        if (Modes.getMode(selectedMode).cpu) {
+            cpuBot = Bot.createBot(opponentView.game, {
+                difficulty: document.getElementById('cpuLevel').value,
+                seed: gameState.seed,
+                apply: (action, pressed) => match.apply(1, action, pressed)
+            });
         }
-
-        gameState.holdPiece = currentType;
-        gameState.canHold = false;
-        gameState.lockTimer = 0;
-        gameState.lockResets = 0;
-        gameState.isLocked = false;
-        
-        playSound('hold');
+        setVersusLayout(true);
+        highScore = 0;
+        updateUI();
+        hideOverlays();
     }
 
     /**
-     * ピースロック
+     * オンライン対戦に接続（開始は相手がそろってから）
      */
-    function lockPiece() {
-        const piece = gameState.currentPiece;
-        const matrix = getRotatedMatrix(piece.type, piece.rotation);
-        
-        // ▼追加：天井はみ出し（トップアウト）検出用
-        let topOut = false;
-        
-        // ボードに配置
-        for (let py = 0; py < matrix.length; py++) {
-            for (let px = 0; px < matrix[py].length; px++) {
-                if (matrix[py][px]) {
-                    const nx = piece.x + px;
-                    const ny = piece.y + py;
-                    if (ny < 0) {
-                        topOut = true; // 画面上端より上に残ってロック
-                        continue;
-                    }
-                    gameState.board[ny * COLS + nx] = getColorIndex(piece.type);
+    function startOnlineMatch() {
+        endMatch();
+        const online = getOnlineSettings();
+        match = Net.createOnlineMatch({
+            url: online.url,
+            room: online.room,
+            randomizer: document.getElementById('randomizerSelect').value,
+            rotationSystem: document.getElementById('rotationSelect').value,
+            spinRule: document.getElementById('spinSelect').value,
+            gravityCurve: document.getElementById('gravitySelect').value,
+            handling: settings.getHandling()
+        });
+        recorder = null;
+        highScore = 0;
+        // 開始までは空の盤面を表示
+        setGame(Engine.createGame({ mode: Versus.MODE }));
+        setVersusLayout(true);
+
+        match.on('status', ({ status }) => {
+            if (status === Net.STATUS.CONNECTING || status === Net.STATUS.WAITING) {
+                if (match.getWinner() < 0) {
+                    showOnlineStatus('WAITING', `対戦相手を待っています (ROOM: ${match.getRoom()})`);
                 }
+            } else if (status === Net.STATUS.CLOSED) {
+                showOnlineStatus('DISCONNECTED', `サーバーに接続できません (${online.url})`);
             }
-        }
-
-        // ▼追加：トップアウトなら即ゲームオーバー
-        if (topOut) {
-            gameState.gameOver = true;
-            saveHighScore();
-            showGameOverOverlay();
-            playSound('gameOver');
-            return;
-        }
-
-        // T-Spin判定
-        const isTSpin = checkTSpin(piece);
-        
-        // ライン消去
-        const linesCleared = clearLines();
-        
-        // スコア計算
-        if (linesCleared > 0) {
-            calculateScore(linesCleared, isTSpin);
-            gameState.lines += linesCleared;
-            gameState.level = Math.floor(gameState.lines / 10) + 1;
-            playSound('lineClear');
-        } else {
-            gameState.combo = -1;
-        }
-
-        // 新しいピース生成
-        spawnPiece();
-        playSound('lock');
+        });
+        match.on('start', () => {
+            setGame(match.players[0].game);
+            opponentView.game = match.players[1].game;
+            hideOverlays();
+        });
+        match.on('end', ({ winner, disconnected }) => showMatchResult(winner, disconnected));
+        match.on('rematch', () => appendOverlayNote('相手が再戦を希望しています（Rキーで再戦）'));
+        match.on('error', ({ message }) => showOnlineStatus('ERROR', message));
+
+        showOnlineStatus('CONNECTING', online.url);
+        updateUI();
     }
+
     /**
-     * T-Spin判定（3-corner法）
+     * 対戦を終了して1人用の表示へ戻す
+     * 対戦中のゲームは相手とのせり上がりの購読が残るため作り直す
      */
-    function checkTSpin(piece) {
-        if (piece.type !== 'T') return { isTSpin: false, isMini: false };
-
-        const corners = [
-            [piece.x, piece.y],
-            [piece.x + 2, piece.y],
-            [piece.x, piece.y + 2],
-            [piece.x + 2, piece.y + 2]
-        ];
-
-        let filledCorners = 0;
-        for (let [x, y] of corners) {
-            if (x < 0 || x >= COLS || y >= ROWS || 
-                (y >= 0 && gameState.board[y * COLS + x])) {
-                filledCorners++;
-            }
-        }
-
-        const isTSpin = filledCorners >= 3;
-        
-        // Mini判定は簡易版
-        let isMini = false;
-        if (isTSpin) {
-            const frontCorners = piece.rotation === 0 ? [corners[2], corners[3]] :
-                               piece.rotation === 1 ? [corners[0], corners[2]] :
-                               piece.rotation === 2 ? [corners[0], corners[1]] :
-                               [corners[1], corners[3]];
-            
-            let frontFilled = 0;
-            for (let [x, y] of frontCorners) {
-                if (x < 0 || x >= COLS || y >= ROWS || 
-                    (y >= 0 && gameState.board[y * COLS + x])) {
-                    frontFilled++;
-                }
-            }
-            isMini = frontFilled !== 2;
-        }
+    function endMatch() {
+        if (!match) return;
+        if (match.online) match.close();
+        match = null;
+        cpuBot = null;
+        opponentView.game = null;
+        setVersusLayout(false);
+        setGame(Engine.createGame(getGameOptions()));
+    }
 
-        return { isTSpin, isMini };
+    /**
+     * 対戦用レイアウト（2P盤面・せり上がり予告メーター）の表示切り替え
+     */
+    function setVersusLayout(visible) {
+        document.getElementById('player2Area').style.display = visible ? 'flex' : 'none';
+        document.getElementById('garbageMeter').style.display = visible ? 'block' : 'none';
+        document.getElementById('sentArea').style.display = visible ? 'flex' : 'none';
+        document.getElementById('setupArea').style.display = visible ? 'none' : '';
+        // オンラインの相手は小さい盤面で表示
+        document.getElementById('player2Area').classList.toggle('mini', visible && match.online);
+        if (visible) setupViewDPI(opponentView);
     }
 
     /**
-     * ライン消去
+     * モード選択メニューの初期化
      */
-    function clearLines() {
-        const linesToClear = [];
-        
-        for (let y = 0; y < ROWS; y++) {
-            let full = true;
-            for (let x = 0; x < COLS; x++) {
-                if (!gameState.board[y * COLS + x]) {
-                    full = false;
-                    break;
-                }
+    function setupModeMenu() {
+        const list = document.getElementById('modeList');
+        Object.entries(Modes.MODES).forEach(([name, mode], index) => {
+            const button = document.createElement('button');
+            button.className = 'modeOption';
+            button.dataset.mode = name;
+            button.innerHTML = '<span class="modeName"></span><span class="modeDescription"></span><span class="modeBest"></span>';
+            button.querySelector('.modeName').textContent = mode.name;
+            button.querySelector('.modeDescription').textContent = mode.description;
+            button.addEventListener('mouseenter', () => focusMenuItem(index));
+            button.addEventListener('click', () => startMode(name));
+            list.appendChild(button);
+        });
+        document.getElementById('menuBtn').addEventListener('click', showModeMenu);
+        document.getElementById('continueBtn').addEventListener('click', continueGame);
+
+        // 掘りモードの穴変化率（前回値を復元）
+        const messiness = document.getElementById('digMessiness');
+        try {
+            const saved = localStorage.getItem('tetrisDigMessiness');
+            if (saved !== null) messiness.value = saved;
+        } catch (e) {
+            // localStorage使用不可の場合は既定値
+        }
+        const showMessiness = () => {
+            document.getElementById('digMessinessValue').textContent = `${messiness.value}%`;
+        };
+        messiness.addEventListener('input', () => {
+            showMessiness();
+            // 記録は穴変化率ごとなので、表示中の記録表を切り替える
+            if (menuOpen) {
+                updateMenuBests();
+                focusMenuItem(menuIndex);
             }
-            if (full) {
-                linesToClear.push(y);
+        });
+        messiness.addEventListener('change', () => {
+            messiness.blur();
+            try {
+                localStorage.setItem('tetrisDigMessiness', messiness.value);
+            } catch (e) {
+                // localStorage使用不可の場合は無視
             }
+        });
+        showMessiness();
+
+        // オンライン対戦の接続先（前回値を復元）
+        const onlineSettings = getOnlineSettings();
+        document.getElementById('onlineUrl').value = onlineSettings.url;
+        document.getElementById('onlineRoom').value = onlineSettings.room;
+        for (const id of ['onlineUrl', 'onlineRoom']) {
+            document.getElementById(id).addEventListener('change', saveOnlineSettings);
         }
 
-        if (linesToClear.length === 0) return 0;
-
-        // ライン消去アニメーション（簡易版）
-        setTimeout(() => {
-            // 上のラインを下に移動
-            for (let clearY of linesToClear.reverse()) {
-                for (let y = clearY; y > 0; y--) {
-                    for (let x = 0; x < COLS; x++) {
-                        gameState.board[y * COLS + x] = gameState.board[(y-1) * COLS + x];
-                    }
-                }
-                // 最上段をクリア
-                for (let x = 0; x < COLS; x++) {
-                    gameState.board[x] = 0;
-                }
+        // CPUの強さ（前回値を復元）
+        const cpuLevel = document.getElementById('cpuLevel');
+        for (const [name, difficulty] of Object.entries(Bot.DIFFICULTIES)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = difficulty.name;
+            cpuLevel.appendChild(option);
+        }
+        cpuLevel.value = Bot.DEFAULT_DIFFICULTY;
+        try {
+            const saved = localStorage.getItem('tetrisCpuLevel');
+            if (Bot.DIFFICULTIES[saved]) cpuLevel.value = saved;
+        } catch (e) {
+            // localStorage使用不可の場合は既定値
+        }
+        cpuLevel.addEventListener('change', () => {
+            cpuLevel.blur();
+            try {
+                localStorage.setItem('tetrisCpuLevel', cpuLevel.value);
+            } catch (e) {
+                // localStorage使用不可の場合は無視
             }
-        }, 150);
-
-        return linesToClear.length;
+        });
     }
 
     /**
-     * スコア計算
+     * オンライン対戦の接続先（既定はページの配信元の中継サーバー）
      */
-    function calculateScore(linesCleared, tSpinInfo) {
-        let baseScore = 0;
-        let isSpecial = false;
-
-        if (tSpinInfo.isTSpin) {
-            if (tSpinInfo.isMini) {
-                baseScore = linesCleared === 1 ? SCORES.TSPIN_MINI : SCORES.TSPIN_MINI_DOUBLE;
-            } else {
-                baseScore = linesCleared === 1 ? SCORES.TSPIN_SINGLE :
-                           linesCleared === 2 ? SCORES.TSPIN_DOUBLE :
-                           SCORES.TSPIN_TRIPLE;
-            }
-            isSpecial = true;
-        } else {
-            baseScore = linesCleared === 1 ? SCORES.SINGLE :
-                       linesCleared === 2 ? SCORES.DOUBLE :
-                       linesCleared === 3 ? SCORES.TRIPLE :
-                       SCORES.TETRIS;
-            isSpecial = linesCleared === 4;
+    function getOnlineSettings() {
+        const urlInput = document.getElementById('onlineUrl');
+        const roomInput = document.getElementById('onlineRoom');
+        if (urlInput.value) {
+            return { url: urlInput.value.trim(), room: roomInput.value.trim() || 'lobby' };
         }
 
-        // Back-to-Back判定
-        if (isSpecial && gameState.lastWasSpecial) {
-            baseScore = Math.floor(baseScore * SCORES.B2B_MULTIPLIER);
-            gameState.b2b = true;
-        } else {
-            gameState.b2b = false;
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('tetrisOnline')) || {};
+        } catch (e) {
+            // localStorage使用不可・破損データの場合は既定値
         }
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const host = window.location.protocol.startsWith('http') ? window.location.host : 'localhost:8080';
+        return {
+            url: saved.url || `${protocol}//${host}/`,
+            room: saved.room || 'lobby'
+        };
+    }
 
-        gameState.lastWasSpecial = isSpecial;
+    function saveOnlineSettings() {
+        try {
+            localStorage.setItem('tetrisOnline', JSON.stringify(getOnlineSettings()));
+        } catch (e) {
+            // localStorage使用不可の場合は無視
+        }
+    }
 
-        // コンボ
-        gameState.combo++;
-        const comboBonus = gameState.combo > 0 ? SCORES.COMBO_BONUS * gameState.combo : 0;
+    // 設定画面・操作説明での操作名
+    const ACTION_LABELS = {
+        [ACTIONS.MOVE_LEFT]: '左移動',
+        [ACTIONS.MOVE_RIGHT]: '右移動',
+        [ACTIONS.SOFT_DROP]: 'ソフトドロップ',
+        [ACTIONS.HARD_DROP]: 'ハードドロップ',
+        [ACTIONS.ROTATE_CCW]: '左回転',
+        [ACTIONS.ROTATE_CW]: '右回転',
+        [ACTIONS.ROTATE_180]: '180°回転',
+        [ACTIONS.HOLD]: 'HOLD',
+        [ACTIONS.PAUSE]: '一時停止',
+        [Settings.CLIENT_ACTIONS.RESET]: 'リセット',
+        [Settings.CLIENT_ACTIONS.HINT]: 'ヒント',
+        [Settings.CLIENT_ACTIONS.MENU]: 'モード選択',
+        [Settings.CLIENT_ACTIONS.UNDO]: '1手戻す',
+        [Settings.CLIENT_ACTIONS.REDO]: '1手進める',
+        [Settings.CLIENT_ACTIONS.RETRY]: '最初から'
+    };
 
-        // レベルボーナス
-        const levelMultiplier = gameState.level;
-        
-        gameState.score += (baseScore + comboBonus) * levelMultiplier;
+    const KEY_LABELS = {
+        ' ': 'Space',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        ArrowUp: '↑',
+        ArrowDown: '↓',
+        Escape: 'Esc',
+        Backspace: 'BS'
+    };
 
-        if (gameState.score > gameState.highScore) {
-            gameState.highScore = gameState.score;
-        }
+    /**
+     * キー名の表示（1文字のキーは大文字）
+     */
+    function formatKey(key) {
+        return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
     }
 
     /**
-     * ボード上の玉の数を取得
+     * 設定画面の初期化
      */
-    function getBallCount() {
-        let filled = 0;
-        for (let i = 0; i < gameState.board.length; i++) {
-            if (gameState.board[i]) filled++;
+    function setupSettingsPanel() {
+        document.getElementById('settingsBtn').addEventListener('click', e => {
+            e.currentTarget.blur();
+            showSettingsPanel();
+        });
+        document.getElementById('closeSettingsBtn').addEventListener('click', hideSettingsPanel);
+        document.getElementById('exportSettingsBtn').addEventListener('click', () => {
+            downloadJSON('tetris-settings.json', settings.toJSON());
+        });
+        document.getElementById('defaultSettingsBtn').addEventListener('click', () => {
+            settings.resetDefaults();
+            updateSettings();
+        });
+
+        const fileInput = document.getElementById('settingsFile');
+        document.getElementById('importSettingsBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            file.text().then(text => {
+                settings.importJSON(text);
+                updateSettings();
+            }).catch(err => {
+                alert(`設定ファイルを読み込めません: ${err.message}`);
+            });
+        });
+
+        for (const name of Object.keys(Settings.HANDLING_LIMITS)) {
+            const input = document.getElementById(`${name}Input`);
+            input.addEventListener('input', () => {
+                settings.setHandling(name, Number(input.value));
+                updateHandlingInputs();
+            });
+            input.addEventListener('change', () => input.blur());
         }
-        return Math.floor(filled / 4);
+
+        const touchMode = document.getElementById('touchModeSelect');
+        touchMode.addEventListener('change', () => {
+            touchMode.blur();
+            settings.setTouchMode(touchMode.value);
+            updateSettings();
+        });
+        const sensitivity = document.getElementById('sensitivityInput');
+        sensitivity.addEventListener('input', () => {
+            settings.setSensitivity(Number(sensitivity.value));
+            updateSettings();
+        });
+        sensitivity.addEventListener('change', () => sensitivity.blur());
     }
 
     /**
-     * 色インデックス取得
+     * プレイ中で一時停止できるか（オンライン対戦は止められない）
      */
-    function getColorIndex(pieceType) {
-        return PIECE_TYPES.indexOf(pieceType) + 1;
+    function canPauseGame() {
+        return !menuOpen && !player && !gameState.paused && !gameState.gameOver &&
+            !gameState.finished && !(match && (match.online || match.isOver()));
     }
 
     /**
-     * ゲームループ
+     * 設定画面を開く（進行中のゲームは一時停止）
      */
-    function gameLoop(currentTime) {
-        const dt = currentTime - lastTime;
-        lastTime = currentTime;
-
-        update(dt);
-        render();
+    function showSettingsPanel() {
+        if (canPauseGame()) applyAction(ACTIONS.PAUSE);
+        settingsOpen = true;
+        binding = null;
+        updateSettings();
+        updatePadStatus();
+        document.getElementById('settingsPanel').style.display = 'flex';
+    }
 
-        animationId = requestAnimationFrame(gameLoop);
+    function hideSettingsPanel() {
+        settingsOpen = false;
+        binding = null;
+        document.getElementById('settingsPanel').style.display = 'none';
     }
 
     /**
-     * ゲーム更新
+     * 設定変更を反映（キー割り当ては即時、操作感は次のゲームから）
      */
-    function update(dt) {
-        if (gameState.gameOver || gameState.paused) return;
-
-        updateInput(dt);
-        updateGravity(dt);
-        updateLockTimer(dt);
+    function updateSettings() {
+        keyMap = settings.getKeyMap();
+        padMap = settings.getPadMap();
+        renderBindingList();
+        updateHandlingInputs();
+        updateTouchInputs();
+        updateTouchMode();
+        updateKeyGuide();
     }
 
     /**
-     * 入力更新
+     * 割り当て一覧（キー・ボタンをクリックで解除、＋で次に押したキー・ボタンを割り当て）
      */
-    function updateInput(dt) {
-        // 左右移動DAS/ARR
-        if (input.leftPressed) {
-            input.leftTime += dt;
-            if (input.leftTime >= DAS_DELAY) {
-                if (input.leftTime - DAS_DELAY >= ARR_DELAY) {
-                    movePiece(-1);
-                    input.leftTime = DAS_DELAY;
-                }
+    function renderBindingList() {
+        const list = document.getElementById('bindingList');
+        const bindings = settings.getBindings();
+        const padBindings = settings.getPadBindings();
+        list.innerHTML = '';
+        for (const action of Settings.BINDABLE_ACTIONS) {
+            const row = document.createElement('li');
+            row.className = 'bindingRow';
+            const name = document.createElement('span');
+            name.className = 'bindingName';
+            name.textContent = ACTION_LABELS[action];
+            row.appendChild(name);
+
+            for (const key of bindings[action]) {
+                row.appendChild(createBindingChip(formatKey(key), () => settings.unbindKey(action, key)));
             }
-        }
-
-        if (input.rightPressed) {
-            input.rightTime += dt;
-            if (input.rightTime >= DAS_DELAY) {
-                if (input.rightTime - DAS_DELAY >= ARR_DELAY) {
-                    movePiece(1);
-                    input.rightTime = DAS_DELAY;
-                }
+            row.appendChild(createBindingAdd(action, 'key', '＋', 'キーを押す…'));
+            for (const button of padBindings[action]) {
+                const chip = createBindingChip(`🎮${Gamepad.getButtonName(button)}`, () => settings.unbindPadButton(action, button));
+                chip.classList.add('padChip');
+                row.appendChild(chip);
             }
+            row.appendChild(createBindingAdd(action, 'pad', '＋🎮', 'ボタンを押す…'));
+            list.appendChild(row);
         }
+    }
+
+    function createBindingChip(label, unbind) {
+        const chip = document.createElement('button');
+        chip.textContent = label;
+        chip.title = '解除';
+        chip.addEventListener('click', () => {
+            unbind();
+            updateSettings();
+        });
+        return chip;
+    }
+
+    function createBindingAdd(action, device, label, waitingLabel) {
+        const waiting = binding !== null && binding.action === action && binding.device === device;
+        const add = document.createElement('button');
+        add.textContent = waiting ? waitingLabel : label;
+        add.classList.toggle('waiting', waiting);
+        add.addEventListener('click', () => {
+            binding = waiting ? null : { action, device };
+            renderBindingList();
+        });
+        return add;
+    }
+
+    function updateHandlingInputs() {
+        const handling = settings.getHandling();
+        for (const name of Object.keys(Settings.HANDLING_LIMITS)) {
+            document.getElementById(`${name}Input`).value = handling[name];
+        }
+        document.getElementById('dasValue').textContent = `${handling.das}ms`;
+        document.getElementById('arrValue').textContent = `${handling.arr}ms`;
+        document.getElementById('sdfValue').textContent =
+            handling.sdf >= Engine.SDF_INSTANT ? '∞' : `${handling.sdf}x`;
+        document.getElementById('clearDelayValue').textContent = `${handling.clearDelay}ms`;
+    }
+
+    function updateTouchInputs() {
+        const touch = settings.getTouch();
+        document.getElementById('touchModeSelect').value = touch.mode;
+        document.getElementById('sensitivityInput').value = touch.sensitivity;
+        document.getElementById('sensitivityValue').textContent = `${touch.sensitivity.toFixed(1)}x`;
+    }
+
+    /**
+     * 設定画面のキー操作（割り当て待ちなら押したキーを割り当て、Escで取り消し・閉じる）
+     */
+    function handleSettingsKey(e) {
+        e.preventDefault();
+        if (e.key === 'Escape') {
+            if (binding) {
+                binding = null;
+                renderBindingList();
+            } else {
+                hideSettingsPanel();
+            }
+            return;
+        }
+        if (!binding || binding.device !== 'key') return;
+        settings.bindKey(binding.action, e.key);
+        binding = null;
+        updateSettings();
+    }
+
+    // ===== ゲームパッド =====
+
+    /**
+     * ゲームパッドの初期化（抜き差しは毎フレームの読み取りで検出）
+     */
+    function setupGamepad() {
+        if (!navigator.getGamepads) return;
+        gamepad = Gamepad.createGamepadInput({
+            onAction: handleDeviceAction,
+            onButton: handlePadButton,
+            onConnect: updatePadStatus,
+            onDisconnect: handlePadDisconnect
+        });
+    }
+
+    /**
+     * ゲームパッド・タッチの操作（slot: ローカル対戦では接続順に1P/2P。タッチは常に1P）
+     */
+    function handleDeviceAction(slot, action, pressed) {
+        if (!pressed) {
+            // 押しっぱなしが残らないよう解放はいつでも渡す
+            if (!player && !menuOpen) {
+                if (match) {
+                    handleVersusAction(slot, action, false);
+                } else {
+                    handleGameAction(action, false);
+                }
+            }
+            return;
+        }
+        if (settingsOpen || profileOpen || editorOpen || player) return;
+        if (menuOpen) {
+            handleMenuPad(action);
+            return;
+        }
+        if (action === Settings.CLIENT_ACTIONS.MENU) {
+            showModeMenu();
+            return;
+        }
+        if (match) {
+            handleVersusAction(slot, action, true);
+            return;
+        }
+        handleGameAction(action, true);
+    }
+
+    /**
+     * 対戦中のゲームパッド・タッチ操作（オンライン・CPU戦はどのパッドも自分）
+     */
+    function handleVersusAction(slot, action, pressed) {
+        if (match.isOver()) {
+            if (pressed && action === Settings.CLIENT_ACTIONS.RESET) restartMatch();
+            return;
+        }
+        if (!isEngineAction(action)) return;
+        if (action === ACTIONS.PAUSE) {
+            if (pressed) match.togglePause();
+            return;
+        }
+        const index = match.online || cpuBot ? 0 : slot;
+        if (index < Versus.PLAYERS) match.apply(index, action, pressed);
+    }
+
+    /**
+     * モード選択メニューのゲームパッド操作（↑↓で選択、回転・ポーズで開始）
+     */
+    function handleMenuPad(action) {
+        switch (action) {
+            case ACTIONS.HARD_DROP:
+                focusMenuItem(menuIndex - 1);
+                break;
+            case ACTIONS.SOFT_DROP:
+                focusMenuItem(menuIndex + 1);
+                break;
+            case ACTIONS.ROTATE_CW:
+            case ACTIONS.ROTATE_CCW:
+            case ACTIONS.PAUSE:
+                startMode(Object.keys(Modes.MODES)[menuIndex]);
+                break;
+            case ACTIONS.HOLD:
+                continueGame();
+                break;
+        }
+    }
+
+    /**
+     * 設定画面でボタン入力待ちなら押したボタンを割り当て
+     */
+    function handlePadButton(slot, button) {
+        if (!settingsOpen || !binding || binding.device !== 'pad') return;
+        settings.bindPadButton(binding.action, button);
+        binding = null;
+        updateSettings();
+    }
+
+    /**
+     * 切断されたらプレイ中のゲームを一時停止
+     */
+    function handlePadDisconnect(pad) {
+        updatePadStatus();
+        if (!canPauseGame()) return;
+        applyAction(ACTIONS.PAUSE);
+        document.getElementById('pauseNote').textContent = `コントローラーが切断されました (${pad.id})`;
+    }
+
+    /**
+     * 接続中のゲームパッド表示（設定画面）
+     */
+    function updatePadStatus() {
+        const pads = gamepad ? gamepad.getConnected() : [];
+        document.getElementById('padStatus').textContent = pads.length > 0
+            ? pads.map(pad => `${pad.slot + 1}P: ${pad.id}`).join('\n')
+            : 'ゲームパッド未接続（ボタンを押すと認識されます）';
+    }
+
+    // ===== タッチジェスチャー =====
+
+    /**
+     * 盤面のジェスチャー操作と、ボタン/ジェスチャーの切り替えボタンの初期化
+     */
+    function setupTouchControls() {
+        const canvas = mainView.gameCanvas;
+        const touch = settings.getTouch();
+        gestures = Touch.createGestureRecognizer({
+            onAction: (action, pressed) => handleDeviceAction(0, action, pressed),
+            sensitivity: touch.sensitivity
+        });
+
+        // 1本目の指だけを追跡（2本目はタップで180°回転）
+        let pointerId = null;
+        const point = e => {
+            const rect = canvas.getBoundingClientRect();
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top, rect };
+        };
+        canvas.addEventListener('pointerdown', e => {
+            if (editorOpen || settings.getTouch().mode !== Settings.TOUCH_MODES.GESTURES) return;
+            e.preventDefault();
+            if (pointerId !== null) {
+                gestures.secondary();
+                return;
+            }
+            pointerId = e.pointerId;
+            if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+            const { x, y, rect } = point(e);
+            gestures.start(x, y, e.timeStamp, { width: rect.width, cellSize: rect.width / COLS });
+        });
+        canvas.addEventListener('pointermove', e => {
+            if (e.pointerId !== pointerId) return;
+            const { x, y } = point(e);
+            gestures.move(x, y, e.timeStamp);
+        });
+        canvas.addEventListener('pointerup', e => {
+            if (e.pointerId !== pointerId) return;
+            pointerId = null;
+            const { x, y } = point(e);
+            gestures.end(x, y, e.timeStamp);
+        });
+        canvas.addEventListener('pointercancel', e => {
+            if (e.pointerId !== pointerId) return;
+            pointerId = null;
+            gestures.cancel();
+        });
+
+        document.getElementById('touchModeBtn').addEventListener('click', e => {
+            e.currentTarget.blur();
+            const mode = settings.getTouch().mode === Settings.TOUCH_MODES.GESTURES
+                ? Settings.TOUCH_MODES.BUTTONS
+                : Settings.TOUCH_MODES.GESTURES;
+            settings.setTouchMode(mode);
+            updateSettings();
+        });
+        updateTouchMode();
+    }
+
+    /**
+     * タッチ操作の方式を画面に反映（ジェスチャー中は移動・回転ボタンを隠す）
+     */
+    function updateTouchMode() {
+        const touch = settings.getTouch();
+        const gestureMode = touch.mode === Settings.TOUCH_MODES.GESTURES;
+        document.getElementById('controls').classList.toggle('gestures', gestureMode);
+        mainView.gameCanvas.classList.toggle('gestures', gestureMode);
+        document.getElementById('touchModeBtn').textContent = gestureMode ? 'ボタン' : 'ジェスチャー';
+        if (gestures) gestures.setSensitivity(touch.sensitivity);
+    }
+
+    /**
+     * 操作説明を現在のキー割り当てで表示
+     */
+    function updateKeyGuide() {
+        const bindings = Object.assign({}, settings.getBindings());
+        // Escはいつでもモード選択
+        bindings[Settings.CLIENT_ACTIONS.MENU] = bindings[Settings.CLIENT_ACTIONS.MENU].concat('Escape');
+        const parts = Settings.BINDABLE_ACTIONS
+            .filter(action => bindings[action].length > 0)
+            .map(action => `${bindings[action].map(formatKey).join('/')} ${ACTION_LABELS[action]}`);
+        document.getElementById('keyGuide').textContent = `PC: ${parts.join(' ')}`;
+    }
+
+    /**
+     * モード選択メニュー表示（進行中のゲームは破棄）
+     */
+    function showModeMenu() {
+        if (player) reset();
+        saveGame();
+        endMatch();
+        hideEditor();
+        menuOpen = true;
+        hideOverlays();
+
+        const names = Object.keys(Modes.MODES);
+        updateMenuBests();
+        focusMenuItem(Math.max(0, names.indexOf(selectedMode)));
+        updateContinueButton();
+        document.getElementById('modeMenu').style.display = 'flex';
+        startAttract();
+    }
+
+    /**
+     * メニューの各モードの1位記録
+     */
+    function updateMenuBests() {
+        document.querySelectorAll('.modeOption').forEach(button => {
+            const best = records.getBest(getMenuRecordKey(button.dataset.mode));
+            button.querySelector('.modeBest').textContent = best ? `BEST ${formatRecord(button.dataset.mode, best)}` : '';
+        });
+    }
+
+    function hideModeMenu() {
+        menuOpen = false;
+        document.getElementById('modeMenu').style.display = 'none';
+        stopAttract();
+    }
+
+    /**
+     * メニューの背景でボットのデモプレイを開始（ゲームオーバーになったら新しいシードでやり直す）
+     */
+    function startAttract() {
+        const demo = Engine.createGame({ mode: Modes.DEFAULT_MODE });
+        attract = { game: demo, bot: Bot.createBot(demo, { difficulty: 'hard' }) };
+        mainView.game = demo;
+    }
+
+    function stopAttract() {
+        if (!attract) return;
+        attract = null;
+        mainView.game = game;
+    }
+
+    /**
+     * メニュー項目の選択とハイスコア表の表示
+     */
+    function focusMenuItem(index) {
+        const buttons = document.querySelectorAll('.modeOption');
+        menuIndex = (index + buttons.length) % buttons.length;
+        buttons.forEach((button, i) => button.classList.toggle('selected', i === menuIndex));
+
+        const mode = buttons[menuIndex].dataset.mode;
+        document.getElementById('digSettings').style.display = Modes.getRules(mode).garbageGoal ? 'flex' : 'none';
+        document.getElementById('onlineSettings').style.display = Modes.getMode(mode).online ? 'flex' : 'none';
+        document.getElementById('cpuSettings').style.display = Modes.getMode(mode).cpu ? 'flex' : 'none';
+
+        const table = document.getElementById('recordTable');
+        table.innerHTML = '';
+        records.getTable(getMenuRecordKey(mode)).forEach((record, i) => {
+            const row = document.createElement('li');
+            const name = (record.name || '---').padEnd(Records.NAME_LENGTH, ' ');
+            row.textContent = `${String(i + 1).padStart(2, ' ')}. ${name} ${formatRecord(mode, record)}`;
+            table.appendChild(row);
+        });
+        if (!table.children.length) {
+            const row = document.createElement('li');
+            row.textContent = 'NO RECORDS';
+            table.appendChild(row);
+        }
+    }
+
+    /**
+     * メニューのキー操作（↑↓: 選択, Enter/Space: 開始）
+     */
+    function handleMenuKey(e) {
+        switch (e.key) {
+            case 'ArrowUp':
+                e.preventDefault();
+                focusMenuItem(menuIndex - 1);
+                break;
+            case 'ArrowDown':
+                e.preventDefault();
+                focusMenuItem(menuIndex + 1);
+                break;
+            case 'Enter':
+            case ' ':
+                e.preventDefault();
+                startMode(Object.keys(Modes.MODES)[menuIndex]);
+                break;
+            case 'c':
+            case 'C':
+                continueGame();
+                break;
+        }
+    }
+
+    /**
+     * 中断データがあれば続きから遊ぶボタンを表示
+     */
+    function updateContinueButton() {
+        const data = saves.load();
+        const button = document.getElementById('continueBtn');
+        button.style.display = data ? '' : 'none';
+        if (!data) return;
+        const mode = Modes.MODES[data.mode];
+        const detail = mode && mode.rank === 'time' ? formatTime(data.time) : data.score.toLocaleString();
+        button.textContent = `CONTINUE (C)  ${mode ? mode.name : data.mode}  ${detail}`;
+    }
+
+    /**
+     * 途中のゲームを中断データとして保存（1人用のプレイ中のみ）
+     */
+    function saveGame() {
+        if (!recorder || player || match || menuOpen) return;
+        if (gameState.gameOver || gameState.finished || gameState.countdown > 0) return;
+        saves.save(recorder);
+    }
+
+    /**
+     * 中断データから再開（一時停止した状態で始める）
+     */
+    function continueGame() {
+        const data = saves.load();
+        if (!data) return;
+        let resumed;
+        try {
+            resumed = Save.resumeGame(data);
+        } catch (e) {
+            saves.clear();
+            updateContinueButton();
+            window.alert(`中断データを読み込めません: ${e.message}`);
+            return;
+        }
+
+        player = null;
+        hideReplayBar();
+        hideModeMenu();
+        accumulator = 0;
+        endMatch();
+        recorder = resumed;
+        setGame(recorder.game);
+        selectedMode = gameState.mode;
+        const opener = Openers.findOpener(game.getRules().guide);
+        if (opener) selectOpener(opener.id);
+        startPracticeHistory();
+        if (practice) practice.record();
+        highScore = getModeHighScore(selectedMode);
+        if (!gameState.paused) recorder.apply(ACTIONS.PAUSE);
+        updateUI();
+        hideOverlays();
+        showPauseOverlay();
+    }
+
+    /**
+     * モードを選んで開始
+     */
+    function startMode(name) {
+        selectedMode = name;
+        if (Modes.getMode(name).editor) {
+            showEditor();
+            return;
+        }
+        reset();
+    }
+
+    /**
+     * 記録の表示（タイム制はタイム、それ以外はスコア）
+     */
+    function formatRecord(mode, record) {
+        if (Modes.getMode(mode).rank === 'time') {
+            const messiness = record.garbageMessiness !== undefined
+                ? ` (${Math.round(record.garbageMessiness * 100)}%)`
+                : '';
+            return formatTime(record.time) + messiness;
+        }
+        return record.score.toLocaleString();
+    }
+
+    /**
+     * メニューで表示する記録表のキー（掘りモードはスライダーの穴変化率の表）
+     */
+    function getMenuRecordKey(mode) {
+        return Records.getTableKey(mode, getDigMessiness());
+    }
+
+    /**
+     * 今のゲームの記録表のキー（掘りモードは遊んでいる穴変化率の表）
+     */
+    function getGameRecordKey() {
+        return Records.getTableKey(gameState.mode, game.getRules().garbageMessiness);
+    }
+
+    /**
+     * モードのハイスコア（タイム制は0）
+     */
+    function getModeHighScore(mode) {
+        const best = records.getBest(mode);
+        return best && Modes.getMode(mode).rank === 'score' ? best.score : 0;
+    }
+
+    /**
+     * 結果をハイスコア表に登録（順位、圏外・対象外は-1）
+     * タイム制のモードは完走した場合のみ、スコア制は0点を除く
+     */
+    function submitRecord(finished) {
+        const rank = Modes.getMode(gameState.mode).rank;
+        if (!rank || (rank === 'time' ? !finished : gameState.score === 0)) return -1;
+
+        const entry = {
+            name: playerName,
+            score: gameState.score,
+            lines: gameState.lines,
+            level: gameState.level,
+            time: gameState.time
+        };
+        const rules = Modes.getRules(gameState.mode);
+        if (rules.garbageGoal) {
+            entry.garbageMessiness = lastReplay.options.rules.garbageMessiness;
+        }
+        return records.submit(getGameRecordKey(), entry);
+    }
+
+    /**
+     * localStorage（使用不可ならメモリ上の代替）
+     */
+    function getStorage() {
+        try {
+            const storage = window.localStorage;
+            storage.getItem('');
+            return storage;
+        } catch (e) {
+            const memory = {};
+            return {
+                getItem: key => (key in memory ? memory[key] : null),
+                setItem: (key, value) => { memory[key] = String(value); },
+                removeItem: key => { delete memory[key]; }
+            };
+        }
+    }
+
+    /**
+     * リプレイ関連UIの初期化
+     */
+    function setupReplayControls() {
+        const fileInput = document.getElementById('replayFile');
+        document.getElementById('loadReplayBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            file.text().then(startPlayback);
+        });
+
+        document.getElementById('watchReplayBtn').addEventListener('click', () => {
+            if (lastReplay) startPlayback(lastReplay);
+        });
+        document.getElementById('saveReplayBtn').addEventListener('click', () => {
+            if (lastReplay) downloadJSON(`tetris-replay-${lastReplay.options.seed}.json`, lastReplay);
+        });
+
+        document.getElementById('replayPlayBtn').addEventListener('click', togglePlayback);
+        document.getElementById('replaySeek').addEventListener('input', e => seekPlayback(Number(e.target.value)));
+        document.getElementById('replaySpeed').addEventListener('change', e => {
+            player.setSpeed(Number(e.target.value));
+            e.target.blur();
+        });
+        document.getElementById('replayTakeOverBtn').addEventListener('click', takeOverPlayback);
+        document.getElementById('replayExitBtn').addEventListener('click', reset);
+    }
+
+    /**
+     * リプレイ再生開始
+     */
+    function startPlayback(data) {
+        let newPlayer;
+        try {
+            newPlayer = Replay.createPlayer(data);
+        } catch (e) {
+            window.alert(`リプレイを読み込めません: ${e.message}`);
+            return;
+        }
+
+        player = newPlayer;
+        player.setSpeed(Number(document.getElementById('replaySpeed').value));
+        setGame(player.game);
+        hideOverlays();
+
+        const seekBar = document.getElementById('replaySeek');
+        seekBar.max = player.getLength();
+        seekBar.value = 0;
+        document.getElementById('replayBar').style.display = 'flex';
+    }
+
+    /**
+     * 再生/一時停止切り替え
+     */
+    function togglePlayback() {
+        if (player.isPlaying()) {
+            player.pause();
+        } else {
+            player.play();
+        }
+    }
+
+    /**
+     * 指定フレームへシーク（効果音なし）
+     */
+    function seekPlayback(frame) {
+        muted = true;
+        player.seek(frame);
+        muted = false;
+
+        hideOverlays();
+        if (gameState.paused) showPauseOverlay();
+    }
+
+    /**
+     * 再生位置からプレイヤー操作に切り替え
+     */
+    function takeOverPlayback() {
+        if (gameState.gameOver) return;
+
+        recorder = player.takeOver();
+        player = null;
+        hideReplayBar();
+        hideOverlays();
+        if (gameState.paused) showPauseOverlay();
+    }
+
+    /**
+     * 再生中のキー操作（Space: 再生/停止, ←→: 5秒移動, Esc: 終了）
+     */
+    function handlePlaybackKey(e) {
+        if (keyMap[Settings.normalizeKey(e.key)] === Settings.CLIENT_ACTIONS.RESET) {
+            reset();
+            return;
+        }
+        switch (e.key) {
+            case ' ':
+                e.preventDefault();
+                togglePlayback();
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                e.preventDefault();
+                const frames = Math.round(5000 / (player.getDuration() / Math.max(1, player.getLength())));
+                seekPlayback(player.getFrame() + (e.key === 'ArrowLeft' ? -frames : frames));
+                break;
+            }
+            case 'Escape':
+                reset();
+                break;
+        }
+    }
+
+    function hideReplayBar() {
+        document.getElementById('replayBar').style.display = 'none';
+    }
+
+    /**
+     * 再生バー表示更新
+     */
+    function updateReplayBar() {
+        document.getElementById('replaySeek').value = player.getFrame();
+        document.getElementById('replayTime').textContent =
+            `${formatTime(player.getTime())} / ${formatTime(player.getDuration())}`;
+        document.getElementById('replayPlayBtn').textContent = player.isPlaying() ? '❚❚' : '▶';
+        document.getElementById('replayTakeOverBtn').disabled = gameState.gameOver;
+    }
+
+    /**
+     * 時間表示（m:ss.000）
+     */
+    function formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        const millis = Math.floor(ms % 1000);
+        return `${minutes}:${String(seconds).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
+    }
+
+    /**
+     * JSONファイルとしてダウンロード
+     */
+    function downloadJSON(filename, data) {
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * ゲームループ
+     */
+    function gameLoop(currentTime) {
+        const dt = Math.min(currentTime - lastTime, MAX_FRAME_TIME);
+        lastTime = currentTime;
+
+        if (gamepad) gamepad.poll(padMap);
+
+        let alpha = 1;
+        if (player) {
+            player.update(dt);
+            updateReplayBar();
+        } else if (menuOpen) {
+            accumulator += dt;
+            while (attract && accumulator >= Engine.TICK_MS) {
+                savePreviousPiece(mainView);
+                attract.bot.tick();
+                attract.game.tick();
+                if (attract.game.getState().gameOver) startAttract();
+                accumulator -= Engine.TICK_MS;
+            }
+            alpha = accumulator / Engine.TICK_MS;
+        } else if (!editorOpen) {
+            // 盤面エディタでは局面を進めない
+            accumulator += dt;
+            while (accumulator >= Engine.TICK_MS) {
+                savePreviousPiece(mainView);
+                if (match) {
+                    if (opponentView.game) savePreviousPiece(opponentView);
+                    if (cpuBot) cpuBot.tick();
+                    match.tick();
+                } else {
+                    recorder.tick();
+                }
+                accumulator -= Engine.TICK_MS;
+            }
+            alpha = accumulator / Engine.TICK_MS;
+        }
+        updateParticles(mainView, dt);
+        render(alpha);
+
+        animationId = requestAnimationFrame(gameLoop);
+    }
+
+    /**
+     * 補間描画用に、tick前のピース位置を記録
+     */
+    function savePreviousPiece(view) {
+        const piece = view.game.getState().currentPiece;
+        view.previousPiece.piece = piece;
+        view.previousPiece.y = piece ? piece.y : 0;
+    }
+
+    /**
+     * 描画
+     */
+    function render(alpha = 1) {
+        renderView(mainView, alpha);
+        if (match) renderView(opponentView, alpha);
+        updateUI();
+    }
+
+    function renderView(view, alpha) {
+        if (!view.game) return;
+        renderGame(view, alpha);
+        renderHold(view);
+        renderNext(view);
+    }
+
+    /**
+     * 盤面描画
+     * @param {object} view 描画先（createViewの戻り値）
+     * @param {number} alpha 直前tickから次tickまでの進み具合（0〜1）。落下中のピースを補間する
+     */
+    function renderGame(view, alpha) {
+        const gameState = view.game.getState();
+        const previousPiece = view.previousPiece;
+        const ctx = view.gameCtx;
+        const canvasWidth = view.gameCanvas.clientWidth;
+        const canvasHeight = view.gameCanvas.clientHeight;
+        const cellSize = canvasWidth / COLS;
+        
+        ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+
+        // ボード描画（消去演出中の行は光らせてから中央から消す）
+        const clearing = getClearingRows(gameState);
+        for (let y = 0; y < ROWS; y++) {
+            for (let x = 0; x < COLS; x++) {
+                const cellValue = gameState.board[y * COLS + x];
+                if (!cellValue) continue;
+                if (clearing.has(y)) {
+                    drawClearingCell(ctx, x, y, Engine.getPieceColor(cellValue), cellSize, clearing.get(y));
+                } else {
+                    drawCell(ctx, x, y, Engine.getPieceColor(cellValue), cellSize);
+                }
+            }
+        }
+
+        // ゴースト描画
+        const ghost = view.game.getGhostPosition();
+        if (ghost && gameState.currentPiece) {
+            const matrix = Engine.getRotatedMatrix(gameState.currentPiece.type, ghost.rotation, gameState.rotationSystem);
+            ctx.globalAlpha = 0.3;
+            for (let py = 0; py < matrix.length; py++) {
+                for (let px = 0; px < matrix[py].length; px++) {
+                    if (matrix[py][px]) {
+                        const x = ghost.x + px;
+                        const y = ghost.y + py;
+                        if (x >= 0 && x < COLS && y >= 0 && y < ROWS) {
+                            drawCellOutline(ctx, x, y, TETROMINOS[gameState.currentPiece.type].color, cellSize);
+                        }
+                    }
+                }
+            }
+            ctx.globalAlpha = 1;
+        }
+
+        // 開幕練習のガイド（ライン消去の演出中は位置がずれるため描かない）
+        if (gameState.guideSteps && gameState.lineClears.length === 0) {
+            renderGuide(ctx, gameState, cellSize);
+        }
+
+        // フィネス練習の目標位置
+        if (gameState.finesseTarget) {
+            renderFinesseTarget(ctx, gameState.finesseTarget, gameState.rotationSystem, cellSize);
+        }
+
+        // ヒント（1人用のみ）
+        if (view === mainView && hintVisible && !match && !player && !menuOpen && !editorOpen) {
+            renderHint(ctx, gameState, cellSize);
+        }
+
+        // 現在のピース描画
+        if (gameState.currentPiece) {
+            const piece = gameState.currentPiece;
+            const matrix = Engine.getRotatedMatrix(piece.type, piece.rotation, gameState.rotationSystem);
+
+            // 直前tickで1段落ちた場合のみ、前の位置から滑らかに描く
+            let pieceY = piece.y;
+            if (previousPiece.piece === piece && piece.y - previousPiece.y === 1) {
+                pieceY = previousPiece.y + alpha;
+            }
+            
+            for (let py = 0; py < matrix.length; py++) {
+                for (let px = 0; px < matrix[py].length; px++) {
+                    if (matrix[py][px]) {
+                        const x = piece.x + px;
+                        const y = pieceY + py;
+                        if (x >= 0 && x < COLS && y > -1 && y < ROWS) {
+                            drawCell(ctx, x, y, TETROMINOS[piece.type].color, cellSize);
+                        }
+                    }
+                }
+            }
+        }
+
+        drawParticles(ctx, view, cellSize);
+
+        // グリッド描画
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        for (let x = 0; x <= COLS; x++) {
+            ctx.beginPath();
+            ctx.moveTo(x * cellSize, 0);
+            ctx.lineTo(x * cellSize, canvasHeight);
+            ctx.stroke();
+        }
+        for (let y = 0; y <= ROWS; y++) {
+            ctx.beginPath();
+            ctx.moveTo(0, y * cellSize);
+            ctx.lineTo(canvasWidth, y * cellSize);
+            ctx.stroke();
+        }
+
+        // カウントダウン / GO表示
+        if (gameState.countdown > 0) {
+            drawCenterText(ctx, String(Math.ceil(gameState.countdown / 1000)), canvasWidth, canvasHeight);
+        } else if (Modes.getRules(gameState.mode).countdown && gameState.time < 500 && gameState.currentPiece) {
+            drawCenterText(ctx, 'GO!', canvasWidth, canvasHeight);
+        }
+    }
+
+    // ===== ライン消去の演出 =====
+
+    // 消去演出のうち光らせる割合（残りで中央から消える）
+    const CLEAR_FLASH_RATIO = 0.4;
+    const PARTICLES_PER_CELL = 3;
+    const PARTICLE_LIFE = 700; // ms
+    const PARTICLE_GRAVITY = 40; // マス/秒^2
+
+    /**
+     * 消去演出中の行 → 進み具合（0〜1）
+     */
+    function getClearingRows(state) {
+        const rows = new Map();
+        for (const { rows: clearRows, timer, duration } of state.lineClears) {
+            const progress = duration > 0 ? Math.min(1, timer / duration) : 1;
+            for (const y of clearRows) rows.set(y, progress);
+        }
+        return rows;
+    }
+
+    /**
+     * 消去中のセル（前半は白く光り、後半は中央の列から順に消える）
+     */
+    function drawClearingCell(ctx, x, y, color, cellSize, progress) {
+        if (progress < CLEAR_FLASH_RATIO) {
+            drawCell(ctx, x, y, color, cellSize);
+            ctx.globalAlpha = Math.sin(progress / CLEAR_FLASH_RATIO * Math.PI) * 0.8;
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+            ctx.globalAlpha = 1;
+            return;
+        }
+        const dissolve = (progress - CLEAR_FLASH_RATIO) / (1 - CLEAR_FLASH_RATIO);
+        const distance = Math.abs(x + 0.5 - COLS / 2) / (COLS / 2);
+        if (distance < dissolve) return;
+        ctx.globalAlpha = 1 - dissolve;
+        drawCell(ctx, x, y, '#fff', cellSize);
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * 消えた行のブロックから破片を飛ばす（座標・速度はマス単位）
+     */
+    function spawnClearParticles(view, rows) {
+        const board = view.game.getState().board;
+        for (const y of rows) {
+            for (let x = 0; x < COLS; x++) {
+                const color = Engine.getPieceColor(board[y * COLS + x]);
+                for (let i = 0; i < PARTICLES_PER_CELL; i++) {
+                    view.particles.push({
+                        x: x + Math.random(),
+                        y: y + Math.random(),
+                        vx: (Math.random() - 0.5) * 8,
+                        vy: -2 - Math.random() * 8,
+                        life: PARTICLE_LIFE * (0.5 + Math.random() * 0.5),
+                        color
+                    });
+                }
+            }
+        }
+    }
+
+    function updateParticles(view, dt) {
+        const seconds = dt / 1000;
+        for (const particle of view.particles) {
+            particle.x += particle.vx * seconds;
+            particle.y += particle.vy * seconds;
+            particle.vy += PARTICLE_GRAVITY * seconds;
+            particle.life -= dt;
+        }
+        view.particles = view.particles.filter(particle => particle.life > 0 && particle.y < ROWS);
+    }
+
+    function drawParticles(ctx, view, cellSize) {
+        const size = cellSize / 4;
+        for (const particle of view.particles) {
+            ctx.globalAlpha = Math.min(1, particle.life / PARTICLE_LIFE * 2);
+            ctx.fillStyle = particle.color;
+            ctx.fillRect(particle.x * cellSize - size / 2, particle.y * cellSize - size / 2, size, size);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * ボットの最善手を枠で表示（ピースごとに計算し直す）
+     */
+    function renderHint(ctx, state, cellSize) {
+        if (!state.currentPiece) return;
+        if (state.currentPiece !== hintPiece) {
+            hint = Bot.getBestPlacement(state);
+            hintPiece = state.currentPiece;
+        }
+        if (!hint) return;
+
+        const matrix = Engine.getRotatedMatrix(hint.type, hint.rotation, state.rotationSystem);
+        ctx.globalAlpha = 0.8;
+        for (let py = 0; py < matrix.length; py++) {
+            for (let px = 0; px < matrix[py].length; px++) {
+                const y = hint.y + py;
+                if (matrix[py][px] && y >= 0) {
+                    drawCellOutline(ctx, hint.x + px, y, '#fff', cellSize);
+                }
+            }
+        }
+        ctx.globalAlpha = 1;
+
+        if (hint.hold) {
+            ctx.save();
+            ctx.font = `bold ${Math.floor(cellSize * 0.8)}px 'Courier New', monospace`;
+            ctx.fillStyle = '#fff';
+            ctx.fillText('HOLD', cellSize * 0.2, cellSize);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * フィネス練習の目標位置を半透明で塗る
+     */
+    function renderFinesseTarget(ctx, target, rotationSystem, cellSize) {
+        const matrix = Engine.getRotatedMatrix(target.type, target.rotation, rotationSystem);
+        ctx.globalAlpha = 0.35;
+        ctx.fillStyle = TETROMINOS[target.type].color;
+        for (let py = 0; py < matrix.length; py++) {
+            for (let px = 0; px < matrix[py].length; px++) {
+                const y = target.y + py;
+                if (matrix[py][px] && y >= 0) {
+                    ctx.fillRect((target.x + px) * cellSize, y * cellSize, cellSize, cellSize);
+                }
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * 開幕のガイド（残りの置き場所を薄く、今のピースの置き場所をピースの色で）
+     */
+    function renderGuide(ctx, state, cellSize) {
+        for (const step of state.guideSteps) {
+            const current = step === state.guideTarget;
+            ctx.globalAlpha = current ? 0.8 : 0.25;
+            for (const cell of step.cells) {
+                const y = Math.floor(cell / COLS);
+                if (y < 0) continue;
+                const color = current ? TETROMINOS[step.type].color : '#fff';
+                drawCellOutline(ctx, cell % COLS, y, color, cellSize);
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * 盤面中央に大きな文字を描画
+     */
+    function drawCenterText(ctx, text, canvasWidth, canvasHeight) {
+        ctx.save();
+        ctx.font = `bold ${Math.floor(canvasWidth / 4)}px 'Courier New', monospace`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#fff';
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 4;
+        ctx.strokeText(text, canvasWidth / 2, canvasHeight / 2);
+        ctx.fillText(text, canvasWidth / 2, canvasHeight / 2);
+        ctx.restore();
+    }
+
+    /**
+     * セル描画
+     */
+    function drawCell(ctx, x, y, color, cellSize) {
+        ctx.fillStyle = color;
+        ctx.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+        
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x * cellSize, y * cellSize, cellSize, cellSize);
+    }
+
+    /**
+     * セルアウトライン描画
+     */
+    function drawCellOutline(ctx, x, y, color, cellSize) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x * cellSize + 1, y * cellSize + 1, cellSize - 2, cellSize - 2);
+    }
+
+    /**
+     * ホールド描画
+     */
+    function renderHold(view) {
+        const gameState = view.game.getState();
+        const ctx = view.holdCtx;
+        const canvasWidth = view.holdCanvas.clientWidth;
+        const canvasHeight = view.holdCanvas.clientHeight;
+        
+        ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+
+        if (gameState.holdPiece) {
+            const matrix = TETROMINOS[gameState.holdPiece].matrix;
+            const color = gameState.canHold ? TETROMINOS[gameState.holdPiece].color : '#666';
+            const cellSize = Math.min(canvasWidth / 4, canvasHeight / 4);
+            const offsetX = (canvasWidth - matrix[0].length * cellSize) / 2;
+            const offsetY = (canvasHeight - matrix.length * cellSize) / 2;
+
+            for (let y = 0; y < matrix.length; y++) {
+                for (let x = 0; x < matrix[y].length; x++) {
+                    if (matrix[y][x]) {
+                        ctx.fillStyle = color;
+                        ctx.fillRect(offsetX + x * cellSize, offsetY + y * cellSize, cellSize, cellSize);
+                        ctx.strokeStyle = '#000';
+                        ctx.strokeRect(offsetX + x * cellSize, offsetY + y * cellSize, cellSize, cellSize);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * ネクスト描画
+     */
+    function renderNext(view) {
+        const gameState = view.game.getState();
+        const ctx = view.nextCtx;
+        const canvasWidth = view.nextCanvas.clientWidth;
+        const canvasHeight = view.nextCanvas.clientHeight;
+        
+        ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+
+        const cellSize = Math.min(canvasWidth / 4, 20);
+        let currentY = 10;
+
+        for (let i = 0; i < Math.min(gameState.nextPieces.length, 5); i++) {
+            const pieceType = gameState.nextPieces[i];
+            const matrix = TETROMINOS[pieceType].matrix;
+            const color = TETROMINOS[pieceType].color;
+            const offsetX = (canvasWidth - matrix[0].length * cellSize) / 2;
+
+            for (let y = 0; y < matrix.length; y++) {
+                for (let x = 0; x < matrix[y].length; x++) {
+                    if (matrix[y][x]) {
+                        ctx.fillStyle = color;
+                        ctx.fillRect(offsetX + x * cellSize, currentY + y * cellSize, cellSize, cellSize);
+                        ctx.strokeStyle = '#000';
+                        ctx.strokeRect(offsetX + x * cellSize, currentY + y * cellSize, cellSize, cellSize);
+                    }
+                }
+            }
+
+            currentY += matrix.length * cellSize + 20;
+        }
+    }
+
+    // ===== 統計 =====
+
+    // 消去の種類の表示名（T-Spinは略記）
+    const CLEAR_TYPE_LABELS = {
+        single: 'SINGLE',
+        double: 'DOUBLE',
+        triple: 'TRIPLE',
+        tetris: 'TETRIS',
+        tspinMini: 'TSM',
+        tspinMiniSingle: 'TSMS',
+        tspinMiniDouble: 'TSMD',
+        tspin: 'TS',
+        tspinSingle: 'TSS',
+        tspinDouble: 'TSD',
+        tspinTriple: 'TST',
+        allSpin: 'ALL-SPIN'
+    };
+    // 0回でも表示する消去の種類
+    const BASIC_CLEAR_TYPES = ['single', 'double', 'triple', 'tetris'];
+
+    /**
+     * 統計の表示行 [[ラベル, 値], ...]（時間あたりの値はプレイ時間から計算）
+     */
+    function getStatsRows(state) {
+        const stats = state.stats;
+        const seconds = state.time / 1000;
+        const perSecond = value => seconds > 0 ? value / seconds : 0;
+        const rows = [
+            ['TIME', formatTime(state.time)],
+            ['PIECES', stats.pieces],
+            ['PPS', perSecond(stats.pieces).toFixed(2)],
+            ['APM', (perSecond(stats.attack) * 60).toFixed(1)],
+            ['KPP', (stats.pieces > 0 ? stats.keys / stats.pieces : 0).toFixed(2)]
+        ];
+        for (const type of Engine.CLEAR_TYPES) {
+            if (BASIC_CLEAR_TYPES.includes(type) || stats.clears[type] > 0) {
+                rows.push([CLEAR_TYPE_LABELS[type], stats.clears[type]]);
+            }
+        }
+        rows.push(
+            ['PC', state.perfectClears],
+            ['FINESSE', stats.finesseFaults],
+            ['MAX COMBO', stats.maxCombo],
+            ['MAX B2B', stats.maxB2bChain]
+        );
+        return rows;
+    }
+
+    /**
+     * 統計パネルの表示切り替えボタン（前回値を復元）
+     */
+    function setupStatsPanel() {
+        try {
+            statsVisible = localStorage.getItem('tetrisShowStats') === '1';
+        } catch (e) {
+            // localStorage使用不可の場合は既定値
+        }
+        document.getElementById('statsBtn').addEventListener('click', e => {
+            e.currentTarget.blur();
+            statsVisible = !statsVisible;
+            try {
+                localStorage.setItem('tetrisShowStats', statsVisible ? '1' : '0');
+            } catch (err) {
+                // localStorage使用不可の場合は無視
+            }
+            updateStatsVisibility();
+        });
+        updateStatsVisibility();
+    }
+
+    function updateStatsVisibility() {
+        document.getElementById('statsArea').style.display = statsVisible ? 'block' : 'none';
+    }
+
+    /**
+     * 統計パネルの更新（行の増減があるときだけ作り直す）
+     */
+    function updateStatsPanel() {
+        const list = document.getElementById('statsList');
+        const rows = getStatsRows(gameState);
+        if (list.children.length !== rows.length) {
+            list.innerHTML = '';
+            for (let i = 0; i < rows.length; i++) {
+                const item = document.createElement('div');
+                item.className = 'scoreItem';
+                item.append(document.createElement('span'), document.createElement('span'));
+                list.appendChild(item);
+            }
+        }
+        rows.forEach(([label, value], i) => {
+            const [labelSpan, valueSpan] = list.children[i].children;
+            labelSpan.textContent = label;
+            valueSpan.textContent = value;
+        });
+    }
+
+    /**
+     * 結果画面に統計の一覧を追加
+     */
+    function appendStatsSummary(details) {
+        const summary = document.createElement('div');
+        summary.className = 'statsSummary';
+        fillSummary(summary, getStatsRows(gameState));
+        details.appendChild(summary);
+    }
+
+    /**
+     * 見出しと値の2列の一覧（[label, value] の配列）
+     */
+    function fillSummary(container, rows) {
+        container.innerHTML = '';
+        for (const [label, value] of rows) {
+            const labelSpan = document.createElement('span');
+            labelSpan.textContent = label;
+            const valueSpan = document.createElement('span');
+            valueSpan.textContent = value;
+            container.append(labelSpan, valueSpan);
+        }
+    }
+
+    // ===== プロフィール =====
+
+    const DEFAULT_PLAYER_NAME = 'PLAYER';
+    // 平均を出す直近のゲーム数
+    const RECENT_GAMES = 10;
+
+    /**
+     * 履歴の保存先を開き、名前を読み込んでプロフィール画面を初期化
+     */
+    function setupProfile() {
+        try {
+            playerName = localStorage.getItem('tetrisPlayerName') || DEFAULT_PLAYER_NAME;
+        } catch (e) {
+            // localStorage使用不可の場合は既定値
+        }
+        Profile.createHistoryStore(getIndexedDB()).then(store => {
+            gameHistory = store;
+            if (profileOpen) updateProfilePanel();
+        });
+
+        document.getElementById('profileBtn').addEventListener('click', e => {
+            e.currentTarget.blur();
+            showProfilePanel();
+        });
+        document.getElementById('closeProfileBtn').addEventListener('click', hideProfilePanel);
+
+        const nameInput = document.getElementById('profileName');
+        nameInput.maxLength = Records.NAME_LENGTH;
+        nameInput.addEventListener('change', () => setPlayerName(nameInput.value));
+
+        const modeSelect = document.getElementById('profileMode');
+        for (const [name, mode] of Object.entries(Modes.MODES)) {
+            if (mode.players) continue;
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = mode.name;
+            modeSelect.appendChild(option);
+        }
+        modeSelect.addEventListener('change', () => {
+            modeSelect.blur();
+            updateProfilePanel();
+        });
+
+        document.getElementById('exportProfileBtn').addEventListener('click', exportProfile);
+        const fileInput = document.getElementById('profileFile');
+        document.getElementById('importProfileBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file || !gameHistory) return;
+            file.text().then(importProfile).catch(err => {
+                alert(`プロフィールを読み込めません: ${err.message}`);
+            });
+        });
+    }
+
+    /**
+     * IndexedDB（使用不可ならnull）
+     */
+    function getIndexedDB() {
+        try {
+            return window.indexedDB || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 記録に付ける名前を変更（空なら既定の名前）
+     */
+    function setPlayerName(name) {
+        playerName = String(name).trim().slice(0, Records.NAME_LENGTH) || DEFAULT_PLAYER_NAME;
+        document.getElementById('profileName').value = playerName;
+        try {
+            localStorage.setItem('tetrisPlayerName', playerName);
+        } catch (e) {
+            // localStorage使用不可の場合は無視
+        }
+    }
+
+    /**
+     * 終了したゲームを履歴に追加（1人用のみ）
+     */
+    function recordGame(finished) {
+        if (!gameHistory) return;
+        gameHistory.add({
+            mode: gameState.mode,
+            date: new Date().toISOString(),
+            finished,
+            score: gameState.score,
+            lines: gameState.lines,
+            level: gameState.level,
+            time: gameState.time,
+            seed: gameState.seed,
+            randomizer: gameState.randomizer,
+            stats: JSON.parse(JSON.stringify(gameState.stats))
+        }).catch(() => {
+            // 保存できなかったゲームは履歴に残さない
+        });
+    }
+
+    /**
+     * プロフィール画面を開く（進行中のゲームは一時停止）
+     */
+    function showProfilePanel() {
+        if (canPauseGame()) applyAction(ACTIONS.PAUSE);
+        profileOpen = true;
+        document.getElementById('profileName').value = playerName;
+        const modeSelect = document.getElementById('profileMode');
+        if (!Modes.getMode(selectedMode).players) modeSelect.value = selectedMode;
+        document.getElementById('profilePanel').style.display = 'flex';
+        updateProfilePanel();
+    }
+
+    function hideProfilePanel() {
+        profileOpen = false;
+        document.getElementById('profilePanel').style.display = 'none';
+    }
+
+    /**
+     * 選択中のモードの集計と推移グラフ
+     */
+    function updateProfilePanel() {
+        if (!gameHistory) return Promise.resolve();
+        const mode = document.getElementById('profileMode').value;
+        return gameHistory.getAll().then(games => {
+            const played = games.filter(game => game.mode === mode);
+            const values = played.map(game => getHistoryValue(mode, game)).filter(value => value !== null);
+            fillSummary(document.getElementById('profileSummary'), getProfileRows(mode, played, values));
+            drawHistoryChart(mode, values);
+            document.getElementById('profileNote').textContent = gameHistory.persistent
+                ? `全${games.length}ゲームを記録`
+                : 'このブラウザでは履歴を保存できません（閉じると消えます）';
+        });
+    }
+
+    /**
+     * 推移を見る値（タイム制は完走したゲームのタイム、それ以外はスコア。対象外はnull）
+     */
+    function getHistoryValue(mode, game) {
+        if (Modes.getMode(mode).rank === 'time') {
+            return game.finished ? game.time : null;
+        }
+        return game.score;
+    }
+
+    function formatHistoryValue(mode, value) {
+        return Modes.getMode(mode).rank === 'time' ? formatTime(value) : Math.round(value).toLocaleString();
+    }
+
+    /**
+     * モードの集計（ゲーム数・プレイ時間・ライン数・ベスト・直近の平均）
+     */
+    function getProfileRows(mode, games, values) {
+        const timed = Modes.getMode(mode).rank === 'time';
+        const recent = values.slice(-RECENT_GAMES);
+        const format = value => (value === null ? '-' : formatHistoryValue(mode, value));
+        const best = values.length ? (timed ? Math.min(...values) : Math.max(...values)) : null;
+        const average = recent.length ? recent.reduce((sum, value) => sum + value, 0) / recent.length : null;
+        return [
+            ['GAMES', games.length],
+            ['PLAY TIME', formatTime(games.reduce((sum, game) => sum + game.time, 0))],
+            ['LINES', games.reduce((sum, game) => sum + game.lines, 0).toLocaleString()],
+            ['BEST', format(best)],
+            [`AVG (${RECENT_GAMES})`, format(average)]
+        ];
+    }
+
+    /**
+     * 推移グラフ（横軸は古い順のゲーム、縦軸は最小〜最大）
+     */
+    function drawHistoryChart(mode, values) {
+        const canvas = document.getElementById('profileChart');
+        const ctx = canvas.getContext('2d');
+        const left = 8;
+        const top = 16;
+        const right = canvas.width - 8;
+        const bottom = canvas.height - 16;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(left, top, right - left, bottom - top);
+        ctx.font = "10px 'Courier New', monospace";
+        ctx.fillStyle = '#999';
+
+        if (values.length === 0) {
+            ctx.textAlign = 'center';
+            ctx.fillText('NO DATA', canvas.width / 2, canvas.height / 2);
+            return;
+        }
+
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const pointX = i => (values.length === 1 ? (left + right) / 2 : left + (right - left) * i / (values.length - 1));
+        const pointY = value => bottom - (bottom - top) * (max > min ? (value - min) / (max - min) : 0.5);
+
+        ctx.textAlign = 'left';
+        ctx.fillText(formatHistoryValue(mode, max), left, top - 4);
+        ctx.fillText(formatHistoryValue(mode, min), left, bottom + 12);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${values.length} GAMES`, right, bottom + 12);
+
+        ctx.strokeStyle = '#0ff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        values.forEach((value, i) => {
+            if (i === 0) {
+                ctx.moveTo(pointX(i), pointY(value));
+            } else {
+                ctx.lineTo(pointX(i), pointY(value));
+            }
+        });
+        ctx.stroke();
+        ctx.fillStyle = '#0ff';
+        values.forEach((value, i) => ctx.fillRect(pointX(i) - 2, pointY(value) - 2, 4, 4));
+    }
+
+    /**
+     * 履歴・名前・記録表をJSONファイルに書き出し
+     */
+    function exportProfile() {
+        if (!gameHistory) return;
+        gameHistory.getAll().then(games => {
+            downloadJSON('tetris-profile.json', Profile.encodeProfile({
+                name: playerName,
+                games,
+                records: records.getTables()
+            }));
+        });
+    }
+
+    /**
+     * 書き出したプロフィールを取り込む（履歴・記録は重複を除いて追加）
+     */
+    function importProfile(text) {
+        const data = Profile.decodeProfile(text);
+        records.importTables(data.records);
+        if (data.name) setPlayerName(data.name);
+        return gameHistory.importGames(data.games)
+            .then(added => updateProfilePanel().then(() => {
+                document.getElementById('profileNote').textContent = `${added}ゲームの履歴を読み込みました`;
+            }));
+    }
+
+    // ===== 練習モード =====
+
+    const PRACTICE_ACTIONS = [
+        Settings.CLIENT_ACTIONS.UNDO,
+        Settings.CLIENT_ACTIONS.REDO,
+        Settings.CLIENT_ACTIONS.RETRY
+    ];
+
+    /**
+     * 練習モードの操作ボタンとNEXTの入力欄
+     */
+    function setupPracticePanel() {
+        const bindTap = (id, action) => {
+            document.getElementById(id).addEventListener('click', e => {
+                e.currentTarget.blur();
+                if (!gameState.paused) handlePracticeAction(action);
+            });
+        };
+        bindTap('undoBtn', Settings.CLIENT_ACTIONS.UNDO);
+        bindTap('redoBtn', Settings.CLIENT_ACTIONS.REDO);
+        bindTap('retryBtn', Settings.CLIENT_ACTIONS.RETRY);
+
+        const queueInput = document.getElementById('practiceQueue');
+        queueInput.addEventListener('change', () => {
+            const queue = Puzzle.parsePieces(queueInput.value);
+            queueInput.value = '';
+            if (!practice || queue.length === 0 || gameState.gameOver) return;
+            game.setQueue(queue);
+            practice.update();
+        });
+    }
 
-        // ソフトドロップ
-        if (input.downPressed) {
-            input.downTime += dt;
-            if (input.downTime >= ARR_DELAY) {
-                if (softDropPiece()) {
-                    gameState.score += SCORES.SOFT_DROP;
-                }
-                input.downTime = 0;
-            }
+    /**
+     * 練習モードなら手順の記録を開始（それ以外のモードでは記録しない）
+     */
+    function startPracticeHistory() {
+        if (practice) practice.dispose();
+        practice = Modes.getMode(selectedMode).practice ? Practice.createHistory(game) : null;
+    }
+
+    /**
+     * 1手戻す・進める・最初から（ゲームオーバーからも戻せる）
+     */
+    function handlePracticeAction(action) {
+        if (!practice || player) return;
+        let moved;
+        if (action === Settings.CLIENT_ACTIONS.UNDO) {
+            moved = practice.undo();
+        } else if (action === Settings.CLIENT_ACTIONS.REDO) {
+            moved = practice.redo();
+        } else {
+            moved = practice.retry();
         }
+        if (!moved) return;
+        accumulator = 0;
+        mainView.particles.length = 0;
+        hideOverlays();
     }
 
     /**
-     * 重力更新
+     * 練習モードのパネル（何手目か）
      */
-    function updateGravity(dt) {
-        if (!gameState.currentPiece) return;
+    function updatePracticePanel() {
+        document.getElementById('practiceArea').style.display = practice && !player ? 'block' : 'none';
+        if (!practice) return;
+        const { index, length } = practice.getPosition();
+        document.getElementById('practiceNote').textContent = `${index + 1}手目 / ${length}手`;
+    }
 
-        const base = LEVEL_SPEEDS[Math.min(gameState.level - 1, LEVEL_SPEEDS.length - 1)];
-        const stageSpeed = base * Math.pow(0.95, gameState.level - 1);
-        const ballCount = getBallCount();
-        const adjusted = stageSpeed / (1 + ballCount * BALL_SPEED_FACTOR);
-        const dropSpeed = input.downPressed ? adjusted / SOFT_DROP_MULTIPLIER : adjusted;
+    // ===== 開幕練習 =====
 
-        gameState.dropTimer += dt;
-        
-        if (gameState.dropTimer >= dropSpeed) {
-            if (!softDropPiece()) {
-                // 接地
-                if (!gameState.isLocked) {
-                    gameState.isLocked = true;
-                    gameState.lockTimer = 0;
-                }
-            }
-            gameState.dropTimer = 0;
+    /**
+     * 開幕の選択と挑戦の記録を読み込む（前回選んだ開幕を復元）
+     */
+    function setupOpenerPanel() {
+        openerStats = Openers.createStatsStore(getStorage());
+        let saved = null;
+        try {
+            saved = localStorage.getItem('tetrisOpener');
+        } catch (e) {
+            // localStorage使用不可の場合は無視
         }
+        const choices = {};
+        Openers.OPENERS.forEach(opener => {
+            choices[opener.id] = opener.name;
+        });
+        setupSelect('openerSelect', choices, saved, Openers.OPENERS[0].id);
+        openerId = document.getElementById('openerSelect').value;
+
+        document.getElementById('openerSelect').addEventListener('change', e => {
+            selectOpener(e.target.value);
+            // 開幕練習中なら選んだ開幕で最初から
+            if (Modes.getMode(selectedMode).opener && !menuOpen && !player) reset();
+            updateOpenerPanel();
+        });
     }
 
     /**
-     * ロックタイマー更新
+     * 組む開幕を切り替えて保存
      */
-    function updateLockTimer(dt) {
-        if (!gameState.isLocked) return;
-
-        gameState.lockTimer += dt;
-        if (gameState.lockTimer >= LOCK_DELAY) {
-            lockPiece();
+    function selectOpener(id) {
+        openerId = Openers.getOpener(id).id;
+        document.getElementById('openerSelect').value = openerId;
+        try {
+            localStorage.setItem('tetrisOpener', openerId);
+        } catch (e) {
+            // localStorage使用不可の場合は無視
         }
     }
 
     /**
-     * ソフトドロップ
+     * 失敗で終わるゴールのあるゲームか（パズル・開幕練習）
      */
-    function softDropPiece() {
-        if (!gameState.currentPiece) return false;
-
-        const newY = gameState.currentPiece.y + 1;
-        if (isValidPosition(gameState.currentPiece.x, newY, gameState.currentPiece.rotation)) {
-            gameState.currentPiece.y = newY;
-            return true;
-        }
-        return false;
+    function isGoalMode() {
+        const rules = game.getRules();
+        return Boolean(rules.puzzleGoal || rules.guide);
     }
 
     /**
-     * ゴースト位置計算
+     * 開幕練習の挑戦の結果を記録（1人用のみ）
      */
-    function getGhostPosition() {
-        if (!gameState.currentPiece) return null;
+    function recordOpener(success) {
+        if (!game.getRules().guide) return;
+        openerStats.submit(openerId, success);
+    }
 
-        const piece = gameState.currentPiece;
-        let ghostY = piece.y;
-        
-        while (isValidPosition(piece.x, ghostY + 1, piece.rotation)) {
-            ghostY++;
-        }
-        
-        return { x: piece.x, y: ghostY, rotation: piece.rotation };
+    /**
+     * 開幕練習のパネル（説明・進み具合・成功率と直近の結果）
+     */
+    function updateOpenerPanel() {
+        const visible = Boolean(gameState.guideSteps) && !player;
+        document.getElementById('openerArea').style.display = visible ? 'block' : 'none';
+        if (!visible) return;
+        const opener = Openers.getOpener(openerId);
+        const history = openerStats.getHistory(opener.id);
+        const { attempts, successes, recentAttempts, recentSuccesses } = Openers.summarize(history);
+        const rate = (count, total) => total > 0 ? `${Math.round(count / total * 100)}%` : '-';
+
+        document.getElementById('openerDescription').textContent = opener.description;
+        document.getElementById('openerProgress').textContent =
+            `${gameState.guidePlaced}手目 / ${game.getRules().guide.length}手`;
+        document.getElementById('openerRate').textContent =
+            `成功 ${rate(successes, attempts)} (${successes}/${attempts}) 直近${Openers.RECENT_COUNT}回 ${rate(recentSuccesses, recentAttempts)}`;
+        document.getElementById('openerHistory').textContent = history.slice(-Openers.RECENT_COUNT)
+            .map(entry => entry.success ? '○' : '×')
+            .join('');
     }
 
+    // ===== 盤面エディタ =====
+
     /**
-     * 描画
+     * エディタの初期化（前回の局面を復元）
      */
-    function render() {
-        renderGame();
-        renderHold();
-        renderNext();
-        updateUI();
+    function setupEditor() {
+        editPosition = Puzzle.createPosition();
+        try {
+            const saved = localStorage.getItem('tetrisPuzzle');
+            if (saved) editPosition = Puzzle.decodePosition(saved);
+        } catch (e) {
+            // localStorage使用不可・読めない局面の場合は空の盤面
+        }
+        editorSeed = Randomizer.generateSeed();
+
+        // 塗る色（ピース・ゴミ・消しゴム）
+        const palette = document.getElementById('editorPalette');
+        const brushes = Engine.PIECE_TYPES.map(type => [Engine.getColorIndex(type), type])
+            .concat([[Engine.GARBAGE, 'G'], [0, '×']]);
+        for (const [brush, label] of brushes) {
+            const button = document.createElement('button');
+            button.className = 'brush';
+            button.dataset.brush = brush;
+            button.textContent = label;
+            if (brush) button.style.background = Engine.getPieceColor(brush);
+            button.addEventListener('click', () => {
+                button.blur();
+                editBrush = brush;
+                updatePalette();
+            });
+            palette.appendChild(button);
+        }
+        updatePalette();
+
+        const pieceChoices = { '': '-' };
+        for (const type of Engine.PIECE_TYPES) pieceChoices[type] = type;
+        const clearChoices = { '': '-' };
+        for (const type of Engine.CLEAR_TYPES) clearChoices[type] = CLEAR_TYPE_LABELS[type];
+        setupSelect('editorCurrent', pieceChoices, '', '');
+        setupSelect('editorHold', pieceChoices, '', '');
+        setupSelect('goalClear', clearChoices, '', '');
+        for (const id of ['editorCurrent', 'editorHold', 'editorNext', 'goalLines', 'goalClear', 'goalPc', 'goalPieces']) {
+            document.getElementById(id).addEventListener('change', readEditorInputs);
+        }
+        document.getElementById('goalPc').addEventListener('change', e => e.target.blur());
+
+        setupEditorCanvas();
+
+        document.getElementById('fumenImportBtn').addEventListener('click', importFumen);
+        document.getElementById('fumenExportBtn').addEventListener('click', exportFumen);
+        document.getElementById('puzzleSaveBtn').addEventListener('click', () => {
+            downloadJSON('tetris-puzzle.json', Puzzle.encodePosition(editPosition));
+        });
+        const fileInput = document.getElementById('puzzleFile');
+        document.getElementById('puzzleLoadBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            file.text().then(text => setEditPosition(Puzzle.decodePosition(text))).catch(err => {
+                window.alert(`問題を読み込めません: ${err.message}`);
+            });
+        });
+        document.getElementById('editorEmptyBtn').addEventListener('click', () => {
+            editPosition.board.fill(0);
+            updateEditor();
+        });
+        document.getElementById('editorPlayBtn').addEventListener('click', reset);
+        document.getElementById('editorMenuBtn').addEventListener('click', showModeMenu);
     }
 
     /**
-     * メインゲーム描画
+     * 盤面のクリック・ドラッグでマスを塗る（塗る色と同じマスから始めたとき・右クリックは消す）
      */
-    function renderGame() {
-        const ctx = gameCtx;
-        const canvasWidth = gameCanvas.clientWidth;
-        const canvasHeight = gameCanvas.clientHeight;
-        const cellSize = canvasWidth / COLS;
-        
-        ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+    function setupEditorCanvas() {
+        const canvas = mainView.gameCanvas;
+        let paintValue = null;
+        const getCell = e => {
+            const rect = canvas.getBoundingClientRect();
+            const x = Math.floor((e.clientX - rect.left) / rect.width * COLS);
+            const y = Math.floor((e.clientY - rect.top) / rect.height * ROWS);
+            return x >= 0 && x < COLS && y >= 0 && y < ROWS ? y * COLS + x : -1;
+        };
+        const paint = index => {
+            if (index < 0 || editPosition.board[index] === paintValue) return;
+            editPosition.board[index] = paintValue;
+            updateEditor();
+        };
+        canvas.addEventListener('pointerdown', e => {
+            if (!editorOpen) return;
+            e.preventDefault();
+            const index = getCell(e);
+            if (index < 0) return;
+            paintValue = e.button === 2 || editPosition.board[index] === editBrush ? 0 : editBrush;
+            if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+            paint(index);
+        });
+        canvas.addEventListener('pointermove', e => {
+            if (paintValue === null) return;
+            paint(getCell(e));
+        });
+        const end = () => {
+            paintValue = null;
+        };
+        canvas.addEventListener('pointerup', end);
+        canvas.addEventListener('pointercancel', end);
+    }
 
-        // ボード描画
-        for (let y = 0; y < ROWS; y++) {
-            for (let x = 0; x < COLS; x++) {
-                const cellValue = gameState.board[y * COLS + x];
-                if (cellValue) {
-                    drawCell(ctx, x, y, getPieceColor(cellValue), cellSize);
-                }
-            }
-        }
+    function updatePalette() {
+        document.querySelectorAll('#editorPalette .brush').forEach(button => {
+            button.classList.toggle('selected', Number(button.dataset.brush) === editBrush);
+        });
+    }
 
-        // ゴースト描画
-        const ghost = getGhostPosition();
-        if (ghost && gameState.currentPiece) {
-            const matrix = getRotatedMatrix(gameState.currentPiece.type, ghost.rotation);
-            ctx.globalAlpha = 0.3;
-            for (let py = 0; py < matrix.length; py++) {
-                for (let px = 0; px < matrix[py].length; px++) {
-                    if (matrix[py][px]) {
-                        const x = ghost.x + px;
-                        const y = ghost.y + py;
-                        if (x >= 0 && x < COLS && y >= 0 && y < ROWS) {
-                            drawCellOutline(ctx, x, y, TETROMINOS[gameState.currentPiece.type].color, cellSize);
-                        }
-                    }
-                }
-            }
-            ctx.globalAlpha = 1;
-        }
+    /**
+     * エディタを開く（進行中のゲームは破棄し、編集中の局面から始めたゲームを表示）
+     */
+    function showEditor() {
+        hideModeMenu();
+        hideOverlays();
+        recorder = null;
+        editorOpen = true;
+        editorSeed = Randomizer.generateSeed();
+        setGame(Engine.createGame(getGameOptions()));
+        writeEditorInputs();
+        document.getElementById('setupArea').style.display = 'none';
+        document.getElementById('editorArea').style.display = 'block';
+        mainView.gameCanvas.classList.add('editing');
+        setEditorNote('盤面をクリック・ドラッグで塗る（同じ色・右クリックで消す）');
+    }
 
-        // 現在のピース描画
-        if (gameState.currentPiece) {
-            const piece = gameState.currentPiece;
-            const matrix = getRotatedMatrix(piece.type, piece.rotation);
-            
-            for (let py = 0; py < matrix.length; py++) {
-                for (let px = 0; px < matrix[py].length; px++) {
-                    if (matrix[py][px]) {
-                        const x = piece.x + px;
-                        const y = piece.y + py;
-                        if (x >= 0 && x < COLS && y >= 0 && y < ROWS) {
-                            drawCell(ctx, x, y, TETROMINOS[piece.type].color, cellSize);
-                        }
-                    }
-                }
-            }
-        }
+    function hideEditor() {
+        if (!editorOpen) return;
+        editorOpen = false;
+        document.getElementById('setupArea').style.display = '';
+        document.getElementById('editorArea').style.display = 'none';
+        mainView.gameCanvas.classList.remove('editing');
+    }
 
-        // グリッド描画
-        ctx.strokeStyle = '#333';
-        ctx.lineWidth = 1;
-        for (let x = 0; x <= COLS; x++) {
-            ctx.beginPath();
-            ctx.moveTo(x * cellSize, 0);
-            ctx.lineTo(x * cellSize, canvasHeight);
-            ctx.stroke();
-        }
-        for (let y = 0; y <= ROWS; y++) {
-            ctx.beginPath();
-            ctx.moveTo(0, y * cellSize);
-            ctx.lineTo(canvasWidth, y * cellSize);
-            ctx.stroke();
+    /**
+     * 局面の変更を保存し、表示中のゲームを新しい局面からやり直す
+     */
+    function updateEditor() {
+        try {
+            localStorage.setItem('tetrisPuzzle', JSON.stringify(Puzzle.encodePosition(editPosition)));
+        } catch (e) {
+            // localStorage使用不可の場合は無視
         }
+        game.reset(getGameOptions());
     }
 
     /**
-     * セル描画
+     * 読み込んだ局面に差し替え
      */
-    function drawCell(ctx, x, y, color, cellSize) {
-        ctx.fillStyle = color;
-        ctx.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
-        
-        ctx.strokeStyle = '#000';
-        ctx.lineWidth = 1;
-        ctx.strokeRect(x * cellSize, y * cellSize, cellSize, cellSize);
+    function setEditPosition(position) {
+        editPosition = position;
+        writeEditorInputs();
+        updateEditor();
     }
 
     /**
-     * セルアウトライン描画
+     * 入力欄 → 局面
      */
-    function drawCellOutline(ctx, x, y, color, cellSize) {
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
-        ctx.strokeRect(x * cellSize + 1, y * cellSize + 1, cellSize - 2, cellSize - 2);
+    function readEditorInputs() {
+        editPosition.current = document.getElementById('editorCurrent').value || null;
+        editPosition.hold = document.getElementById('editorHold').value || null;
+        editPosition.next = Puzzle.parsePieces(document.getElementById('editorNext').value);
+        editPosition.goal = Puzzle.normalizeGoal({
+            lines: document.getElementById('goalLines').value,
+            clear: document.getElementById('goalClear').value,
+            perfectClear: document.getElementById('goalPc').checked,
+            pieces: document.getElementById('goalPieces').value
+        });
+        writeEditorInputs();
+        updateEditor();
     }
 
     /**
-     * ピース色取得
+     * 局面 → 入力欄
      */
-    function getPieceColor(colorIndex) {
-        return TETROMINOS[PIECE_TYPES[colorIndex - 1]].color;
+    function writeEditorInputs() {
+        const goal = editPosition.goal;
+        document.getElementById('editorCurrent').value = editPosition.current || '';
+        document.getElementById('editorHold').value = editPosition.hold || '';
+        document.getElementById('editorNext').value = editPosition.next.join('');
+        document.getElementById('goalLines').value = goal.lines;
+        document.getElementById('goalClear').value = goal.clear || '';
+        document.getElementById('goalPc').checked = goal.perfectClear;
+        document.getElementById('goalPieces').value = goal.pieces;
+    }
+
+    function setEditorNote(text) {
+        document.getElementById('editorNote').textContent = text;
     }
 
     /**
-     * ホールド描画
+     * fumenの入力欄から読み込み（目標はfumenにないため今のまま）
      */
-    function renderHold() {
-        const ctx = holdCtx;
-        const canvasWidth = holdCanvas.clientWidth;
-        const canvasHeight = holdCanvas.clientHeight;
-        
-        ctx.clearRect(0, 0, canvasWidth, canvasHeight);
-
-        if (gameState.holdPiece) {
-            const matrix = TETROMINOS[gameState.holdPiece].matrix;
-            const color = gameState.canHold ? TETROMINOS[gameState.holdPiece].color : '#666';
-            const cellSize = Math.min(canvasWidth / 4, canvasHeight / 4);
-            const offsetX = (canvasWidth - matrix[0].length * cellSize) / 2;
-            const offsetY = (canvasHeight - matrix.length * cellSize) / 2;
+    function importFumen() {
+        const input = document.getElementById('fumenInput');
+        let position;
+        try {
+            position = Puzzle.decodeFumen(input.value);
+        } catch (e) {
+            window.alert(`fumenを読み込めません: ${e.message}`);
+            return;
+        }
+        position.goal = editPosition.goal;
+        setEditPosition(position);
+        setEditorNote('fumenを読み込みました');
+    }
 
-            for (let y = 0; y < matrix.length; y++) {
-                for (let x = 0; x < matrix[y].length; x++) {
-                    if (matrix[y][x]) {
-                        ctx.fillStyle = color;
-                        ctx.fillRect(offsetX + x * cellSize, offsetY + y * cellSize, cellSize, cellSize);
-                        ctx.strokeStyle = '#000';
-                        ctx.strokeRect(offsetX + x * cellSize, offsetY + y * cellSize, cellSize, cellSize);
-                    }
-                }
-            }
+    /**
+     * fumenを入力欄に書き出してクリップボードにコピー
+     */
+    function exportFumen() {
+        const input = document.getElementById('fumenInput');
+        input.value = Puzzle.encodeFumen(editPosition);
+        setEditorNote('fumenを書き出しました');
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(input.value).then(() => setEditorNote('fumenをコピーしました'), () => {
+                // コピーできない場合は入力欄から手動でコピー
+            });
         }
     }
 
     /**
-     * ネクスト描画
+     * 問題の条件の表示（達成したものに ✓。ライン数はLINESの欄に表示）
      */
-    function renderNext() {
-        const ctx = nextCtx;
-        const canvasWidth = nextCanvas.clientWidth;
-        const canvasHeight = nextCanvas.clientHeight;
-        
-        ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+    function formatPuzzleGoal(goal, state) {
+        const parts = [];
+        if (goal.clear) {
+            parts.push(CLEAR_TYPE_LABELS[goal.clear] + (state.stats.clears[goal.clear] ? '✓' : ''));
+        }
+        if (goal.perfectClear) {
+            parts.push('PC' + (state.perfectClears ? '✓' : ''));
+        }
+        return parts.join(' ');
+    }
 
-        const cellSize = Math.min(canvasWidth / 4, 20);
-        let currentY = 10;
+    /**
+     * 消去・スピンの名前（例: T-SPIN MINI SINGLE、S-SPIN DOUBLE、TETRIS）
+     */
+    function formatClearName({ lines, spin, mini }) {
+        const words = [];
+        if (spin) words.push(`${spin}-SPIN`);
+        if (mini) words.push('MINI');
+        if (lines > 0) words.push(spin && lines === 4 ? 'QUAD' : CLEAR_NAMES[lines]);
+        return words.join(' ');
+    }
 
-        for (let i = 0; i < Math.min(gameState.nextPieces.length, 5); i++) {
-            const pieceType = gameState.nextPieces[i];
-            const matrix = TETROMINOS[pieceType].matrix;
-            const color = TETROMINOS[pieceType].color;
-            const offsetX = (canvasWidth - matrix[0].length * cellSize) / 2;
+    /**
+     * 盤面上に消去・スピン名とB2B・コンボを一定時間表示
+     */
+    function showActionText(clear) {
+        const extras = [];
+        if (clear.b2b) extras.push('BACK-TO-BACK');
+        if (clear.combo > 0) extras.push(`${clear.combo} COMBO`);
+        setActionText(formatClearName(clear), extras.join(' '), Boolean(clear.spin) || clear.lines === 4);
+    }
 
-            for (let y = 0; y < matrix.length; y++) {
-                for (let x = 0; x < matrix[y].length; x++) {
-                    if (matrix[y][x]) {
-                        ctx.fillStyle = color;
-                        ctx.fillRect(offsetX + x * cellSize, currentY + y * cellSize, cellSize, cellSize);
-                        ctx.strokeStyle = '#000';
-                        ctx.strokeRect(offsetX + x * cellSize, currentY + y * cellSize, cellSize, cellSize);
-                    }
-                }
-            }
+    /**
+     * 盤面上の文字表示（special は強調色）
+     */
+    function setActionText(name, extra, special) {
+        document.getElementById('actionName').textContent = name;
+        document.getElementById('actionExtra').textContent = extra;
+
+        const actionText = document.getElementById('actionText');
+        actionText.classList.toggle('special', special);
+        actionText.style.display = 'block';
+        clearTimeout(actionTextTimer);
+        actionTextTimer = setTimeout(() => {
+            actionText.style.display = 'none';
+        }, ACTION_TEXT_TIME);
+    }
 
-            currentY += matrix.length * cellSize + 20;
+    /**
+     * フィネスフォルトの表示（押した数/最短の数と、最短の操作）
+     */
+    function showFinesseFault({ fault, missed, keys, optimal, sequence }) {
+        if (!fault) return;
+        const best = sequence.map(key => FINESSE_KEY_LABELS[key]).join(' ') || 'そのまま';
+        if (missed) {
+            setActionText('MISS', `目標へは ${best}`, false);
+        } else {
+            setActionText('FINESSE FAULT', `${keys}/${optimal}キー 最短 ${best}`, false);
         }
     }
 
+    /**
+     * パーフェクトクリアの大きな表示
+     */
+    function showPerfectClear() {
+        const text = document.getElementById('perfectClearText');
+        text.style.display = 'block';
+        clearTimeout(perfectClearTimer);
+        perfectClearTimer = setTimeout(() => {
+            text.style.display = 'none';
+        }, ACTION_TEXT_TIME * 2);
+    }
+
     /**
      * UI更新
      */
     function updateUI() {
         document.getElementById('score').textContent = gameState.score.toLocaleString();
-        document.getElementById('highScore').textContent = gameState.highScore.toLocaleString();
         document.getElementById('level').textContent = gameState.level;
-        document.getElementById('lines').textContent = gameState.lines;
+
+        const rules = game.getRules();
+        const goal = rules.puzzleGoal;
+        const scored = Modes.getMode(gameState.mode).rank === 'score';
+        document.getElementById('highArea').style.display = scored ? 'flex' : 'none';
+        document.getElementById('highScore').textContent = Math.max(highScore, player ? 0 : gameState.score).toLocaleString();
+        const lineGoal = rules.lineGoal || (goal && goal.lines);
+        document.getElementById('lines').textContent = lineGoal
+            ? `${gameState.lines}/${lineGoal}`
+            : gameState.lines;
+
+        // 問題の条件・置ける数
+        document.getElementById('goalArea').style.display = goal && (goal.clear || goal.perfectClear) ? 'flex' : 'none';
+        document.getElementById('piecesArea').style.display = goal && goal.pieces ? 'flex' : 'none';
+        if (goal) {
+            document.getElementById('goal').textContent = formatPuzzleGoal(goal, gameState);
+            document.getElementById('pieces').textContent = `${gameState.stats.pieces}/${goal.pieces}`;
+        }
+
+        updateTimerUI(rules);
+
+        document.getElementById('garbageArea').style.display = rules.garbageGoal ? 'flex' : 'none';
+        document.getElementById('garbage').textContent = `${gameState.garbageCleared}/${rules.garbageGoal}`;
 
         const b2bArea = document.getElementById('b2bArea');
         b2bArea.style.display = gameState.b2b ? 'flex' : 'none';
 
+        // パーフェクトクリア回数（PC練習は 成功/挑戦）
+        document.getElementById('pcArea').style.display = gameState.perfectClears > 0 || rules.pcPractice ? 'flex' : 'none';
+        document.getElementById('perfectClears').textContent = rules.pcPractice
+            ? `${gameState.perfectClears}/${gameState.pcAttempts}`
+            : gameState.perfectClears;
+
+        // フィネス練習のフォルト数/設置数
+        document.getElementById('finesseArea').style.display = rules.finesseTraining ? 'flex' : 'none';
+        document.getElementById('finesseFaults').textContent = `${gameState.stats.finesseFaults}/${gameState.stats.pieces}`;
+
+        if (statsVisible) updateStatsPanel();
+        updatePracticePanel();
+        updateOpenerPanel();
+
         const comboArea = document.getElementById('comboArea');
         if (gameState.combo > 0) {
             comboArea.style.display = 'flex';
@@ -1119,21 +2973,71 @@ window.addEventListener('orientationchange', handleResize);
         } else {
             comboArea.style.display = 'none';
         }
+
+        if (match) updateVersusUI();
     }
 
     /**
-     * ポーズ切り替え
+     * 対戦の送ったライン数・2Pの状況・せり上がり予告メーター
      */
-    function togglePause() {
-        if (gameState.gameOver) return;
-        
-        gameState.paused = !gameState.paused;
-        
-        if (gameState.paused) {
-            showPauseOverlay();
-        } else {
-            hidePauseOverlay();
+    function updateVersusUI() {
+        setGarbageMeter('garbageMeter', match.getPending(0));
+        setGarbageMeter('garbageMeter2', match.getPending(1));
+        if (!match.players.length) return;
+
+        const [player1, player2] = match.players;
+        document.getElementById('sent').textContent = player1.sent;
+        document.getElementById('sent2').textContent = player2.sent;
+        document.getElementById('lines2').textContent = player2.game.getState().lines;
+    }
+
+    function setGarbageMeter(id, lines) {
+        const fill = document.getElementById(id).firstElementChild;
+        fill.style.height = `${Math.min(lines, ROWS) / ROWS * 100}%`;
+    }
+
+    /**
+     * タイム（制限時間制は残り時間）・自己ベスト・スプリント差の表示
+     */
+    function updateTimerUI(rules) {
+        const timed = Modes.getMode(gameState.mode).rank === 'time';
+        document.getElementById('timeArea').style.display = timed || rules.timeLimit ? 'flex' : 'none';
+        document.getElementById('time').textContent = formatTime(
+            rules.timeLimit ? rules.timeLimit - gameState.time : gameState.time
+        );
+
+        document.getElementById('bestArea').style.display = timed ? 'flex' : 'none';
+        if (!timed) {
+            document.getElementById('splitArea').style.display = 'none';
+            return;
+        }
+
+        // 40 LINESはスプリント付きの自己ベスト、ほかのタイム制モードはそのモード（掘りモードは同じ穴変化率）の記録表の1位
+        const sprint = gameState.mode === 'sprint';
+        const best = sprint ? sprintBest : records.getBest(getGameRecordKey());
+        document.getElementById('bestTime').textContent = best ? formatTime(best.time) : '-';
+
+        // 直近のスプリントを自己ベストの同区間と比較（スプリントを記録しているのは40 LINESだけ）
+        const index = gameState.splits.length - 1;
+        const splitArea = document.getElementById('splitArea');
+        if (!sprint || index < 0 || !sprintBest || sprintBest.splits[index] === undefined) {
+            splitArea.style.display = 'none';
+            return;
         }
+        const delta = gameState.splits[index] - sprintBest.splits[index];
+        const splitDelta = document.getElementById('splitDelta');
+        splitArea.style.display = 'flex';
+        document.getElementById('splitLabel').textContent = `${(index + 1) * rules.splitInterval}L`;
+        splitDelta.textContent = formatDelta(delta);
+        splitDelta.className = delta <= 0 ? 'ahead' : 'behind';
+    }
+
+    /**
+     * 差分表示（+1.234 / -0.567）
+     */
+    function formatDelta(ms) {
+        const sign = ms <= 0 ? '-' : '+';
+        return sign + (Math.abs(ms) / 1000).toFixed(3);
     }
 
     /**
@@ -1145,36 +3049,182 @@ window.addEventListener('orientationchange', handleResize);
 
     function hidePauseOverlay() {
         document.getElementById('pauseOverlay').style.display = 'none';
+        document.getElementById('pauseNote').textContent = '';
+    }
+
+    function showGameOverOverlay(rank) {
+        // 練習モードは戻した手順が記録と合わないためリプレイなし
+        setReplayButtons(!practice);
+        document.getElementById('gameOverTitle').textContent = isGoalMode() ? 'FAILED' : 'GAME OVER';
+        const details = document.getElementById('resultDetails');
+        details.innerHTML = '';
+        appendRank(details, rank);
+        appendStatsSummary(details);
+        document.getElementById('gameOverSeed').textContent =
+            `SEED: ${gameState.seed} (${Randomizer.GENERATORS[gameState.randomizer]})`;
+        document.getElementById('gameOverOverlay').style.display = 'flex';
+    }
+
+    /**
+     * 順位表示（圏外なら何もしない）
+     */
+    function appendRank(details, rank) {
+        if (rank < 0) return;
+        const line = document.createElement('p');
+        line.className = 'newRecord';
+        line.textContent = `RANK #${rank + 1}`;
+        details.appendChild(line);
+
+        // 記録の名前（変更すると次からの既定の名前にもなる）
+        const key = getGameRecordKey();
+        const nameRow = document.createElement('p');
+        nameRow.className = 'nameEntry';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = Records.NAME_LENGTH;
+        input.autocomplete = 'off';
+        input.value = playerName;
+        input.setAttribute('aria-label', 'NAME');
+        input.addEventListener('change', () => {
+            setPlayerName(input.value);
+            input.value = playerName;
+            records.rename(key, rank, playerName);
+        });
+        nameRow.append('NAME ', input);
+        details.appendChild(nameRow);
+    }
+
+    /**
+     * クリア画面（スコアまたはタイム・スプリント・自己ベスト比較）
+     */
+    function showFinishOverlay(result, isRecord, rank) {
+        setReplayButtons(true);
+        const mode = Modes.getMode(gameState.mode);
+        const rules = Modes.getRules(gameState.mode);
+        const details = document.getElementById('resultDetails');
+        details.innerHTML = '';
+
+        const main = document.createElement('p');
+        main.className = 'resultTime';
+        main.textContent = mode.rank === 'time' ? formatTime(result.time) : result.score.toLocaleString();
+        details.appendChild(main);
+        appendRank(details, rank);
+
+        if (isRecord) {
+            const record = document.createElement('p');
+            record.className = 'newRecord';
+            record.textContent = 'NEW RECORD!';
+            details.appendChild(record);
+        }
+
+        const previous = isRecord ? previousSprintBest : sprintBest;
+        result.splits.forEach((split, i) => {
+            const row = document.createElement('p');
+            row.className = 'splitRow';
+            let text = `${(i + 1) * rules.splitInterval}L  ${formatTime(split)}`;
+            if (previous && previous.splits[i] !== undefined) {
+                text += `  ${formatDelta(split - previous.splits[i])}`;
+            }
+            row.textContent = text;
+            details.appendChild(row);
+        });
+        appendStatsSummary(details);
+
+        document.getElementById('gameOverTitle').textContent = mode.finishTitle;
+        document.getElementById('gameOverSeed').textContent =
+            `SEED: ${gameState.seed} (${Randomizer.GENERATORS[gameState.randomizer]})`;
+        document.getElementById('gameOverOverlay').style.display = 'flex';
+    }
+
+    /**
+     * 対戦の結果画面（勝者と両者の送ったライン数）
+     * オンライン・CPU戦は 0 = 自分, 1 = 相手
+     */
+    function showMatchResult(winner, disconnected) {
+        setReplayButtons(false);
+        const details = document.getElementById('resultDetails');
+        details.innerHTML = '';
+        const labels = match.online ? ['YOU', 'RIVAL'] : cpuBot ? ['YOU', 'CPU'] : ['1P', '2P'];
+        match.players.forEach((versusPlayer, i) => {
+            const row = document.createElement('p');
+            row.className = 'splitRow';
+            row.textContent = `${labels[i]}  SENT ${versusPlayer.sent}  LINES ${versusPlayer.game.getState().lines}`;
+            details.appendChild(row);
+        });
+        if (disconnected) {
+            appendOverlayNote('相手との接続が切れました');
+        }
+
+        if (match.online || cpuBot) {
+            document.getElementById('gameOverTitle').textContent = winner === 0 ? 'YOU WIN!' : 'YOU LOSE';
+        } else {
+            document.getElementById('gameOverTitle').textContent = `${winner + 1}P WIN!`;
+        }
+        document.getElementById('gameOverSeed').textContent =
+            `SEED: ${gameState.seed} (${Randomizer.GENERATORS[gameState.randomizer]})`;
+        document.getElementById('gameOverOverlay').style.display = 'flex';
     }
 
-    function showGameOverOverlay() {
+    /**
+     * オンライン対戦の接続状況（結果画面の枠に表示）
+     */
+    function showOnlineStatus(title, text) {
+        setReplayButtons(false);
+        document.getElementById('gameOverTitle').textContent = title;
+        const details = document.getElementById('resultDetails');
+        details.innerHTML = '';
+        appendOverlayNote(text);
+        document.getElementById('gameOverSeed').textContent = '';
         document.getElementById('gameOverOverlay').style.display = 'flex';
     }
 
+    function appendOverlayNote(text) {
+        const line = document.createElement('p');
+        line.className = 'seedInfo';
+        line.textContent = text;
+        document.getElementById('resultDetails').appendChild(line);
+    }
+
+    /**
+     * 結果画面のリプレイボタン（対戦は記録しないため隠す）
+     */
+    function setReplayButtons(visible) {
+        document.getElementById('watchReplayBtn').style.display = visible ? '' : 'none';
+        document.getElementById('saveReplayBtn').style.display = visible ? '' : 'none';
+    }
+
     function hideOverlays() {
-        document.getElementById('pauseOverlay').style.display = 'none';
+        hidePauseOverlay();
         document.getElementById('gameOverOverlay').style.display = 'none';
     }
 
     /**
-     * ハイスコア保存/読み込み
+     * スプリント自己ベスト保存（更新時true）
      */
-    function saveHighScore() {
+    function saveSprintBest(result) {
+        previousSprintBest = sprintBest;
+        if (sprintBest && sprintBest.time <= result.time) return false;
+
+        sprintBest = { time: result.time, splits: result.splits };
         try {
-            localStorage.setItem('tetrisHighScore', gameState.highScore.toString());
+            localStorage.setItem('tetrisSprintBest', JSON.stringify(sprintBest));
         } catch (e) {
             // localStorage使用不可の場合は無視
         }
+        return true;
     }
 
-    function loadHighScore() {
+    /**
+     * スプリント自己ベスト読み込み
+     */
+    function loadSprintBest() {
         try {
-            const saved = localStorage.getItem('tetrisHighScore');
+            const saved = localStorage.getItem('tetrisSprintBest');
             if (saved) {
-                gameState.highScore = parseInt(saved, 10) || 0;
+                sprintBest = JSON.parse(saved);
             }
         } catch (e) {
-            // localStorage使用不可の場合は無視
+            // localStorage使用不可・破損データの場合は無視
         }
     }
 
@@ -1182,6 +3232,7 @@ window.addEventListener('orientationchange', handleResize);
      * サウンド再生
      */
     function playSound(type) {
+        if (muted) return;
         try {
             const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
             const oscillator = audioCtx.createOscillator();
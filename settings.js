@@ -0,0 +1,375 @@
+/**
+ * テトリス - 操作設定（キー・ゲームパッドの割り当て、DAS/ARR/SDF・消去演出の時間、タッチ操作）
+ * localStorage互換のストレージに保存し、JSONで書き出し・読み込みできる
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'));
+    } else {
+        root.TetrisSettings = factory(root.TetrisEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Engine) {
+    'use strict';
+
+    const STORAGE_KEY = 'tetrisSettings';
+    const FORMAT = 'tetris-settings';
+    const VERSION = 1;
+
+    const { ACTIONS, DEFAULT_HANDLING, SDF_INSTANT } = Engine;
+
+    // エンジンに渡さず画面側で処理する操作
+    const CLIENT_ACTIONS = {
+        RESET: 'reset',
+        HINT: 'hint',
+        MENU: 'menu',
+        UNDO: 'undo',       // 練習モード: 1手戻す
+        REDO: 'redo',       // 練習モード: 戻した手をやり直す
+        RETRY: 'retry'      // 練習モード: 最初の局面に戻る
+    };
+
+    // 割り当て可能な操作（設定画面の表示順）
+    const BINDABLE_ACTIONS = [
+        ACTIONS.MOVE_LEFT,
+        ACTIONS.MOVE_RIGHT,
+        ACTIONS.SOFT_DROP,
+        ACTIONS.HARD_DROP,
+        ACTIONS.ROTATE_CCW,
+        ACTIONS.ROTATE_CW,
+        ACTIONS.ROTATE_180,
+        ACTIONS.HOLD,
+        ACTIONS.PAUSE,
+        CLIENT_ACTIONS.RESET,
+        CLIENT_ACTIONS.HINT,
+        CLIENT_ACTIONS.MENU,
+        CLIENT_ACTIONS.UNDO,
+        CLIENT_ACTIONS.REDO,
+        CLIENT_ACTIONS.RETRY
+    ];
+
+    // キーは KeyboardEvent.key（1文字のキーは小文字に揃える）
+    const DEFAULT_BINDINGS = {
+        [ACTIONS.MOVE_LEFT]: ['ArrowLeft'],
+        [ACTIONS.MOVE_RIGHT]: ['ArrowRight'],
+        [ACTIONS.SOFT_DROP]: ['ArrowDown'],
+        [ACTIONS.HARD_DROP]: [' '],
+        [ACTIONS.ROTATE_CCW]: ['z'],
+        [ACTIONS.ROTATE_CW]: ['x'],
+        [ACTIONS.ROTATE_180]: ['a'],
+        [ACTIONS.HOLD]: ['c'],
+        [ACTIONS.PAUSE]: ['p'],
+        [CLIENT_ACTIONS.RESET]: ['r'],
+        [CLIENT_ACTIONS.HINT]: ['h'],
+        [CLIENT_ACTIONS.MENU]: ['m'],
+        [CLIENT_ACTIONS.UNDO]: ['u'],
+        [CLIENT_ACTIONS.REDO]: ['y'],
+        [CLIENT_ACTIONS.RETRY]: ['Backspace']
+    };
+
+    // 割り当てできないキー（メニュー・設定画面を閉じるため予約）
+    const RESERVED_KEYS = ['Escape'];
+
+    // ゲームパッドはボタン番号（Standard Gamepad の配置: 0 A, 1 B, 3 Y, 4/5 LB/RB, 8 Back, 9 Start, 12-15 十字キー）
+    const DEFAULT_PAD_BINDINGS = {
+        [ACTIONS.MOVE_LEFT]: [14],
+        [ACTIONS.MOVE_RIGHT]: [15],
+        [ACTIONS.SOFT_DROP]: [13],
+        [ACTIONS.HARD_DROP]: [12],
+        [ACTIONS.ROTATE_CCW]: [0],
+        [ACTIONS.ROTATE_CW]: [1],
+        [ACTIONS.ROTATE_180]: [3],
+        [ACTIONS.HOLD]: [4, 5],
+        [ACTIONS.PAUSE]: [9],
+        [CLIENT_ACTIONS.RESET]: [8],
+        [CLIENT_ACTIONS.HINT]: [],
+        [CLIENT_ACTIONS.MENU]: [],
+        [CLIENT_ACTIONS.UNDO]: [],
+        [CLIENT_ACTIONS.REDO]: [],
+        [CLIENT_ACTIONS.RETRY]: []
+    };
+
+    // 割り当てできるボタン番号の上限
+    const MAX_PAD_BUTTON = 31;
+
+    // 操作感の設定範囲
+    const HANDLING_LIMITS = {
+        das: { min: 0, max: 500 },
+        arr: { min: 0, max: 200 },
+        sdf: { min: 1, max: SDF_INSTANT },
+        clearDelay: { min: 0, max: 1000 }
+    };
+
+    // タッチ操作（画面下のボタン / 盤面のジェスチャー）
+    const TOUCH_MODES = {
+        BUTTONS: 'buttons',
+        GESTURES: 'gestures'
+    };
+
+    // ジェスチャーの感度（大きいほど短い・遅い指の動きで反応する）
+    const SENSITIVITY_LIMITS = { min: 0.5, max: 2 };
+
+    const DEFAULT_TOUCH = {
+        mode: TOUCH_MODES.BUTTONS,
+        sensitivity: 1
+    };
+
+    /**
+     * キー名を正規化（Caps Lock・Shiftで大文字になっても同じキーとして扱う）
+     */
+    function normalizeKey(key) {
+        return typeof key === 'string' && key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    function isPadButton(button) {
+        return Number.isInteger(button) && button >= 0 && button <= MAX_PAD_BUTTON;
+    }
+
+    function getDefaults() {
+        const bindings = {};
+        const padBindings = {};
+        for (const action of BINDABLE_ACTIONS) {
+            bindings[action] = DEFAULT_BINDINGS[action].slice();
+            padBindings[action] = DEFAULT_PAD_BINDINGS[action].slice();
+        }
+        return {
+            bindings,
+            padBindings,
+            handling: Object.assign({}, DEFAULT_HANDLING),
+            touch: Object.assign({}, DEFAULT_TOUCH)
+        };
+    }
+
+    /**
+     * 割り当て表の検証（1つのキー・ボタンは1つの操作にだけ割り当てる）
+     * @param {object} data 保存された割り当て（操作 → キー・ボタンの配列）
+     * @param {object} bindings 既定値（検証済みの操作だけ上書きする）
+     * @param {Function} accept 割り当て可能なキー・ボタンか
+     */
+    function validateBindings(data, bindings, accept) {
+        if (!data || typeof data !== 'object') return;
+        const used = new Set();
+        for (const action of BINDABLE_ACTIONS) {
+            const inputs = data[action];
+            if (!Array.isArray(inputs)) continue;
+            bindings[action] = [];
+            for (const input of inputs) {
+                if (!accept(input) || used.has(input)) continue;
+                used.add(input);
+                bindings[action].push(input);
+            }
+        }
+    }
+
+    /**
+     * 設定データの検証・補完（不正な形式は例外）
+     * 不明な操作・予約キー・範囲外の値は取り除くか範囲内に収める
+     */
+    function validate(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (!data || data.format !== FORMAT) {
+            throw new Error('Not a settings file');
+        }
+        if (data.version !== VERSION) {
+            throw new Error(`Unsupported settings version: ${data.version}`);
+        }
+
+        const settings = getDefaults();
+        const keys = {};
+        if (data.bindings && typeof data.bindings === 'object') {
+            for (const [action, inputs] of Object.entries(data.bindings)) {
+                keys[action] = Array.isArray(inputs) ? inputs.map(normalizeKey) : inputs;
+            }
+        }
+        validateBindings(keys, settings.bindings,
+            key => typeof key === 'string' && key !== '' && !RESERVED_KEYS.includes(key));
+        // ゲームパッドの割り当てがない古い設定は既定値
+        validateBindings(data.padBindings, settings.padBindings, isPadButton);
+        if (data.handling && typeof data.handling === 'object') {
+            for (const [name, { min, max }] of Object.entries(HANDLING_LIMITS)) {
+                const value = Number(data.handling[name]);
+                if (Number.isFinite(value)) {
+                    settings.handling[name] = Math.min(max, Math.max(min, value));
+                }
+            }
+        }
+        if (data.touch && typeof data.touch === 'object') {
+            if (Object.values(TOUCH_MODES).includes(data.touch.mode)) {
+                settings.touch.mode = data.touch.mode;
+            }
+            const sensitivity = Number(data.touch.sensitivity);
+            if (Number.isFinite(sensitivity)) {
+                settings.touch.sensitivity = clampSensitivity(sensitivity);
+            }
+        }
+        return settings;
+    }
+
+    function clampSensitivity(value) {
+        return Math.min(SENSITIVITY_LIMITS.max, Math.max(SENSITIVITY_LIMITS.min, value));
+    }
+
+    /**
+     * 設定ストアを作成
+     * @param {Storage} storage localStorage等（getItem/setItem）
+     */
+    function createSettingsStore(storage) {
+        let settings = load();
+
+        function load() {
+            try {
+                const saved = storage.getItem(STORAGE_KEY);
+                if (saved) return validate(saved);
+            } catch (e) {
+                // ストレージ使用不可・破損データの場合は既定値
+            }
+            return getDefaults();
+        }
+
+        function save() {
+            try {
+                storage.setItem(STORAGE_KEY, JSON.stringify(toJSON()));
+            } catch (e) {
+                // ストレージ使用不可の場合は無視
+            }
+        }
+
+        function toJSON() {
+            return {
+                format: FORMAT,
+                version: VERSION,
+                bindings: settings.bindings,
+                padBindings: settings.padBindings,
+                handling: settings.handling,
+                touch: settings.touch
+            };
+        }
+
+        /**
+         * キー・ボタン → 操作の対応表
+         */
+        function getInputMap(bindings) {
+            const inputMap = {};
+            for (const [action, inputs] of Object.entries(bindings)) {
+                for (const input of inputs) {
+                    inputMap[input] = action;
+                }
+            }
+            return inputMap;
+        }
+
+        /**
+         * 操作に割り当てる（他の操作に割り当て済みなら付け替え）
+         */
+        function bind(bindings, action, input) {
+            for (const inputs of Object.values(bindings)) {
+                const index = inputs.indexOf(input);
+                if (index >= 0) inputs.splice(index, 1);
+            }
+            bindings[action].push(input);
+            save();
+        }
+
+        function unbind(bindings, action, input) {
+            if (!bindings[action]) return;
+            bindings[action] = bindings[action].filter(i => i !== input);
+            save();
+        }
+
+        /**
+         * キーを操作に割り当てる（予約キーは false）
+         */
+        function bindKey(action, key) {
+            key = normalizeKey(key);
+            if (!BINDABLE_ACTIONS.includes(action) || RESERVED_KEYS.includes(key)) return false;
+            bind(settings.bindings, action, key);
+            return true;
+        }
+
+        /**
+         * ゲームパッドのボタンを操作に割り当てる（範囲外の番号は false）
+         */
+        function bindPadButton(action, button) {
+            if (!BINDABLE_ACTIONS.includes(action) || !isPadButton(button)) return false;
+            bind(settings.padBindings, action, button);
+            return true;
+        }
+
+        /**
+         * 操作感の値を設定（範囲内に収める）
+         */
+        function setHandling(name, value) {
+            const limits = HANDLING_LIMITS[name];
+            if (!limits || !Number.isFinite(value)) return;
+            settings.handling[name] = Math.min(limits.max, Math.max(limits.min, value));
+            save();
+        }
+
+        /**
+         * タッチ操作の方式を設定
+         */
+        function setTouchMode(mode) {
+            if (!Object.values(TOUCH_MODES).includes(mode)) return;
+            settings.touch.mode = mode;
+            save();
+        }
+
+        /**
+         * ジェスチャーの感度を設定（範囲内に収める）
+         */
+        function setSensitivity(value) {
+            if (!Number.isFinite(value)) return;
+            settings.touch.sensitivity = clampSensitivity(value);
+            save();
+        }
+
+        /**
+         * JSONから読み込み（不正な形式は例外で、現在の設定は変えない）
+         */
+        function importJSON(data) {
+            settings = validate(data);
+            save();
+        }
+
+        function resetDefaults() {
+            settings = getDefaults();
+            save();
+        }
+
+        return {
+            getBindings: () => settings.bindings,
+            getPadBindings: () => settings.padBindings,
+            getHandling: () => Object.assign({}, settings.handling),
+            getTouch: () => Object.assign({}, settings.touch),
+            getKeyMap: () => getInputMap(settings.bindings),
+            getPadMap: () => getInputMap(settings.padBindings),
+            bindKey,
+            unbindKey: (action, key) => unbind(settings.bindings, action, key),
+            bindPadButton,
+            unbindPadButton: (action, button) => unbind(settings.padBindings, action, button),
+            setHandling,
+            setTouchMode,
+            setSensitivity,
+            importJSON,
+            resetDefaults,
+            toJSON
+        };
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        CLIENT_ACTIONS,
+        BINDABLE_ACTIONS,
+        DEFAULT_BINDINGS,
+        DEFAULT_PAD_BINDINGS,
+        RESERVED_KEYS,
+        HANDLING_LIMITS,
+        TOUCH_MODES,
+        SENSITIVITY_LIMITS,
+        normalizeKey,
+        validate,
+        createSettingsStore
+    };
+});
@@ -0,0 +1,163 @@
+/**
+ * テトリス - タッチジェスチャー
+ * 盤面上の指の動きを操作に変換する（座標は盤面のマス単位で判定）
+ *   横ドラッグ: 1マス分ごとに移動 / 下へスワイプ: ソフトドロップ（離すまで）
+ *   下へフリック: ハードドロップ / 上へスワイプ: HOLD
+ *   タップ: 左半分で左回転・右半分で右回転 / 2本指タップ: 180°回転
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'));
+    } else {
+        root.TetrisTouch = factory(root.TetrisEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Engine) {
+    'use strict';
+
+    const { ACTIONS } = Engine;
+
+    // 判定のしきい値（マス単位。感度で割る）
+    const MOVE_DISTANCE = 1;
+    const SOFT_DROP_DISTANCE = 1.5;
+    const HOLD_DISTANCE = 2;
+    const TAP_DISTANCE = 0.5;
+    // タップとみなす最長時間（ms）
+    const TAP_TIME = 250;
+    // フリックとみなす下向きの速さ（マス/秒。感度を掛けた値で判定）と、速さを測る区間（ms）
+    const FLICK_SPEED = 20;
+    const FLICK_WINDOW = 80;
+
+    /**
+     * ジェスチャー認識を作成
+     * @param {{onAction: Function, sensitivity?: number}} options
+     *   onAction(action, pressed): 操作の押下/解放（移動・回転などは押下と解放を続けて通知）
+     * @returns {{start: Function, move: Function, end: Function, cancel: Function, secondary: Function, setSensitivity: Function}}
+     */
+    function createGestureRecognizer(options) {
+        const onAction = options.onAction;
+        let sensitivity = options.sensitivity || 1;
+        // 進行中のジェスチャー（指1本分）
+        let gesture = null;
+
+        function tap(action) {
+            onAction(action, true);
+            onAction(action, false);
+        }
+
+        /**
+         * 指を置いた（x, y は盤面左上からのpx、layout は {width, cellSize}）
+         */
+        function start(x, y, time, layout) {
+            cancel();
+            gesture = {
+                layout,
+                startX: x,
+                startY: y,
+                startTime: time,
+                anchorX: x,
+                moved: false,
+                softDropping: false,
+                done: false,
+                points: [{ y, time }]
+            };
+        }
+
+        /**
+         * 指を動かした
+         */
+        function move(x, y, time) {
+            if (!gesture || gesture.done) return;
+            const cellSize = gesture.layout.cellSize;
+            gesture.points.push({ y, time });
+            while (gesture.points.length > 1 && time - gesture.points[0].time > FLICK_WINDOW) {
+                gesture.points.shift();
+            }
+
+            // 横: 1マス分動くごとに1回移動
+            const step = cellSize * MOVE_DISTANCE / sensitivity;
+            while (Math.abs(x - gesture.anchorX) >= step) {
+                const direction = Math.sign(x - gesture.anchorX);
+                tap(direction < 0 ? ACTIONS.MOVE_LEFT : ACTIONS.MOVE_RIGHT);
+                gesture.anchorX += direction * step;
+                gesture.moved = true;
+            }
+
+            // 下: 一定距離を越えたら離すまでソフトドロップ
+            const dy = y - gesture.startY;
+            if (!gesture.softDropping && dy >= cellSize * SOFT_DROP_DISTANCE / sensitivity &&
+                dy > Math.abs(x - gesture.startX)) {
+                gesture.softDropping = true;
+                onAction(ACTIONS.SOFT_DROP, true);
+            }
+        }
+
+        /**
+         * 指を離した（フリック・上スワイプ・タップを判定）
+         */
+        function end(x, y, time) {
+            if (!gesture) return;
+            if (gesture.done) {
+                gesture = null;
+                return;
+            }
+            move(x, y, time);
+            const { layout, startX, startY, startTime, points } = gesture;
+            const cellSize = layout.cellSize;
+            const dx = x - startX;
+            const dy = y - startY;
+            const first = points[0];
+            const elapsed = Math.max(1, time - first.time);
+            const speed = (y - first.y) / cellSize / elapsed * 1000;
+            const wasSoftDropping = gesture.softDropping;
+            const moved = gesture.moved;
+            releaseSoftDrop();
+            gesture = null;
+
+            if (dy > 0 && speed >= FLICK_SPEED / sensitivity) {
+                tap(ACTIONS.HARD_DROP);
+            } else if (-dy >= cellSize * HOLD_DISTANCE / sensitivity && -dy > Math.abs(dx) && !moved) {
+                tap(ACTIONS.HOLD);
+            } else if (!moved && !wasSoftDropping && time - startTime <= TAP_TIME &&
+                Math.hypot(dx, dy) <= cellSize * TAP_DISTANCE / sensitivity) {
+                tap(startX < layout.width / 2 ? ACTIONS.ROTATE_CCW : ACTIONS.ROTATE_CW);
+            }
+        }
+
+        function releaseSoftDrop() {
+            if (gesture && gesture.softDropping) {
+                gesture.softDropping = false;
+                onAction(ACTIONS.SOFT_DROP, false);
+            }
+        }
+
+        /**
+         * 中断（ポインタのキャンセル等）。押しっぱなしのソフトドロップは解放
+         */
+        function cancel() {
+            releaseSoftDrop();
+            gesture = null;
+        }
+
+        /**
+         * 2本目の指を置いた: 180°回転し、1本目の指のジェスチャーは以降無視
+         */
+        function secondary() {
+            releaseSoftDrop();
+            if (gesture) gesture.done = true;
+            tap(ACTIONS.ROTATE_180);
+        }
+
+        function setSensitivity(value) {
+            sensitivity = value;
+        }
+
+        return { start, move, end, cancel, secondary, setSensitivity };
+    }
+
+    return {
+        TAP_TIME,
+        FLICK_SPEED,
+        createGestureRecognizer
+    };
+});
@@ -0,0 +1,214 @@
+/**
+ * テトリス - 対戦
+ * 2つのゲームを同じシードで進め、ライン消去の攻撃を相手のせり上がりとして送る
+ * 受けた攻撃はいったん予告（pending）に積み、自分の攻撃で相殺できなかった分を
+ * ライン消去のない設置時にせり上げる
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'), require('./randomizer.js'));
+    } else {
+        root.TetrisVersus = factory(root.TetrisEngine, root.TetrisRandomizer);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Engine, Randomizer) {
+    'use strict';
+
+    const { COLS } = Engine;
+
+    const PLAYERS = 2;
+    const MODE = 'versus';
+    // 1回の設置でせり上がる最大ライン数（残りは次の設置に持ち越し）
+    const GARBAGE_CAP = 8;
+
+    /**
+     * 予告中のせり上がり（古い順に相殺・せり上げる）
+     */
+    function createPendingGarbage() {
+        // [{ lines, hole }]
+        const entries = [];
+
+        /**
+         * 攻撃を予告に積む（1回の攻撃は同じ穴位置）
+         */
+        function push(lines, hole) {
+            entries.push({ lines, hole });
+        }
+
+        /**
+         * 自分の攻撃で相殺（残った攻撃ライン数を返す）
+         */
+        function cancel(attack) {
+            while (attack > 0 && entries.length > 0) {
+                const entry = entries[0];
+                const cancelled = Math.min(attack, entry.lines);
+                entry.lines -= cancelled;
+                attack -= cancelled;
+                if (entry.lines === 0) {
+                    entries.shift();
+                }
+            }
+            return attack;
+        }
+
+        /**
+         * 盤面へせり上げる（1回の設置で GARBAGE_CAP まで）
+         * せり上げた分を [{ lines, hole }] で返す
+         */
+        function receive(game) {
+            const received = [];
+            let budget = GARBAGE_CAP;
+            while (budget > 0 && entries.length > 0) {
+                const entry = entries[0];
+                const lines = Math.min(budget, entry.lines);
+                entry.lines -= lines;
+                budget -= lines;
+                if (entry.lines === 0) {
+                    entries.shift();
+                }
+                game.addGarbage(lines, entry.hole);
+                received.push({ lines, hole: entry.hole });
+            }
+            return received;
+        }
+
+        function total() {
+            return entries.reduce((sum, entry) => sum + entry.lines, 0);
+        }
+
+        return { push, cancel, receive, total };
+    }
+
+    /**
+     * 対戦を作成
+     * @param {object} [options] ゲーム設定（seed, randomizer, rotationSystem, spinRule, gravityCurve, rules, handling）。両プレイヤー共通
+     * @returns {{players: Array, on: Function, apply: Function, tick: Function, togglePause: Function, getPending: Function, getWinner: Function, isOver: Function}}
+     */
+    function createMatch(options = {}) {
+        const seed = options.seed || Randomizer.generateSeed();
+        const gameOptions = Object.assign({}, options, { seed, mode: MODE });
+        // 穴位置は両者共通の乱数列から（同じシードなら同じ展開になる）
+        const holeRng = Randomizer.createRng(Randomizer.hashSeed(`${seed}:versus`));
+        const listeners = {};
+        let winner = -1;
+        let over = false;
+
+        const players = [];
+        for (let i = 0; i < PLAYERS; i++) {
+            players.push({
+                game: Engine.createGame(gameOptions),
+                pending: createPendingGarbage(),
+                sent: 0,
+                received: 0,
+                clearedOnLock: false
+            });
+        }
+        players.forEach((player, index) => bindPlayer(player, index));
+
+        function on(type, handler) {
+            (listeners[type] = listeners[type] || []).push(handler);
+            return () => {
+                listeners[type] = listeners[type].filter(h => h !== handler);
+            };
+        }
+
+        function emit(type, payload) {
+            (listeners[type] || []).forEach(handler => handler(payload));
+        }
+
+        /**
+         * エンジンイベントの購読
+         */
+        function bindPlayer(player, index) {
+            const game = player.game;
+            game.on('lineClear', ({ attack }) => {
+                player.clearedOnLock = true;
+                const remaining = player.pending.cancel(attack);
+                if (remaining > 0) {
+                    sendAttack(index, remaining);
+                }
+            });
+            game.on('lock', () => {
+                if (!player.clearedOnLock) {
+                    for (const { lines } of player.pending.receive(game)) {
+                        player.received += lines;
+                    }
+                }
+                player.clearedOnLock = false;
+            });
+            game.on('gameOver', () => {
+                if (!over) {
+                    endMatch(1 - index);
+                }
+            });
+        }
+
+        /**
+         * 相手の予告に攻撃を積む（1回の攻撃は同じ穴位置）
+         */
+        function sendAttack(from, lines) {
+            const target = players[1 - from];
+            target.pending.push(lines, holeRng.int(COLS));
+            players[from].sent += lines;
+            emit('attack', { from, to: 1 - from, lines });
+        }
+
+        /**
+         * 決着（winner: 勝者の番号）
+         */
+        function endMatch(index) {
+            over = true;
+            winner = index;
+            emit('end', { winner });
+        }
+
+        function apply(index, action, pressed = true) {
+            if (over) return;
+            players[index].game.apply(action, pressed);
+        }
+
+        /**
+         * 両者を1tick進める（決着後は止める）
+         */
+        function tick() {
+            for (const player of players) {
+                if (over) return;
+                player.game.tick();
+            }
+        }
+
+        /**
+         * 両者そろって一時停止/再開
+         */
+        function togglePause() {
+            if (over) return;
+            players.forEach(player => player.game.apply(Engine.ACTIONS.PAUSE));
+        }
+
+        /**
+         * 予告中のせり上がりライン数
+         */
+        function getPending(index) {
+            return players[index].pending.total();
+        }
+
+        return {
+            players,
+            on,
+            apply,
+            tick,
+            togglePause,
+            getPending,
+            getWinner: () => winner,
+            isOver: () => over
+        };
+    }
+
+    return {
+        PLAYERS,
+        MODE,
+        GARBAGE_CAP,
+        createPendingGarbage,
+        createMatch
+    };
+});